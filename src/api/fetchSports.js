@@ -1,7 +1,7 @@
 // src/api/fetchSports.js - API calls to fetch sports, leagues, fixtures, and markets
 import fetch from 'node-fetch';
 import { logger } from '../utils/logger.js';
-import { API, TIME } from '../config/constants.js';
+import { API, TIME, SETTLEMENT } from '../config/constants.js';
 
 /**
  * Fetches all available sports from the SX Bet API
@@ -125,6 +125,39 @@ export async function fetchMarketsForEvent(eventId) {
   }
 }
 
+/**
+ * Fetches specific markets by hash, including settled/reported markets
+ * @param {string[]} marketHashes - Market hashes to look up
+ * @returns {Promise<Array>} - Promise resolving to an array of market objects
+ */
+export async function fetchMarketsByHash(marketHashes) {
+  const markets = [];
+  
+  // The endpoint accepts a limited number of hashes per request
+  for (let i = 0; i < marketHashes.length; i += SETTLEMENT.MAX_MARKETS_PER_REQUEST) {
+    const batch = marketHashes.slice(i, i + SETTLEMENT.MAX_MARKETS_PER_REQUEST);
+    
+    logger.info(`Fetching ${batch.length} markets by hash`);
+    
+    const response = await fetch(`${API.BASE_URL}${API.ENDPOINTS.FIND_MARKETS}?marketHashes=${batch.join(',')}`);
+    
+    if (!response.ok) {
+      throw new Error(`HTTP error! Status: ${response.status}`);
+    }
+    
+    const result = await response.json();
+    
+    if (result.status !== 'success') {
+      throw new Error('API returned failure status');
+    }
+    
+    markets.push(...result.data);
+  }
+  
+  logger.info(`Fetched ${markets.length} markets by hash`);
+  return markets;
+}
+
 /**
  * Formats a market type to a user-friendly string
  * @param {number} typeId - The market type ID
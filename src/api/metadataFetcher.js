@@ -0,0 +1,29 @@
+// src/api/metadataFetcher.js - Module for fetching exchange metadata from SX Bet API
+import fetch from 'node-fetch';
+import { logger } from '../utils/logger.js';
+import { API } from '../config/constants.js';
+
+/**
+ * Fetches the exchange metadata, including the current odds ladder interval
+ * @returns {Promise<Object>} - Promise resolving to the metadata object
+ */
+export async function fetchMetadata() {
+  try {
+    const response = await fetch(`${API.BASE_URL}${API.ENDPOINTS.METADATA}`);
+
+    if (!response.ok) {
+      throw new Error(`API Error: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+
+    if (data.status !== 'success') {
+      throw new Error(`API Error: ${data.status}`);
+    }
+
+    return data.data;
+  } catch (error) {
+    logger.error('Error fetching metadata:', error);
+    throw error;
+  }
+}
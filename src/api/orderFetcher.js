@@ -42,6 +42,40 @@ export async function fetchOrders(marketHashes) {
   }
 }
 
+/**
+ * Fetches all active orders posted by a maker address, across all markets
+ * @param {string} maker - Maker address
+ * @returns {Promise<Array>} - Promise resolving to the maker's active orders
+ */
+export async function fetchMakerOrders(maker) {
+  // Construct API URL with query parameters
+  const url = new URL(`${API.BASE_URL}${API.ENDPOINTS.ORDERS}`);
+  url.searchParams.append('maker', maker);
+  url.searchParams.append('baseToken', TOKENS.USDC.ADDRESS);
+  
+  try {
+    logger.info(`Fetching active orders for maker: ${maker}`);
+    
+    const response = await fetch(url.toString());
+    
+    if (!response.ok) {
+      throw new Error(`API Error: ${response.status} ${response.statusText}`);
+    }
+    
+    const data = await response.json();
+    
+    if (data.status !== 'success') {
+      throw new Error(`API Error: ${data.status}`);
+    }
+    
+    logger.info(`Fetched ${data.data.length} active orders for maker: ${maker}`);
+    return data.data;
+  } catch (error) {
+    logger.error(`Error fetching orders for maker ${maker}:`, error);
+    throw error;
+  }
+}
+
 /**
  * Groups orders by outcome (1 or 2) based on what the maker is betting on
  * @param {Array} orders - Orders array from API
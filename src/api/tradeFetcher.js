@@ -0,0 +1,79 @@
+// src/api/tradeFetcher.js - Module for fetching trade history from SX Bet API
+import fetch from 'node-fetch';
+import { logger } from '../utils/logger.js';
+import { TOKENS, API, TRADES } from '../config/constants.js';
+
+/**
+ * Fetches a single page of trades
+ * @param {Object} params - Query parameters
+ * @param {string} [params.bettor] - Only trades placed by this bettor
+ * @param {boolean} [params.maker] - If true, only trades where the bettor is the maker
+ * @param {number} [params.startDate] - Only trades placed after this time (UNIX seconds)
+ * @param {string[]} [params.marketHashes] - Only trades for these markets
+ * @param {string} [params.paginationKey] - nextKey returned by the previous page
+ * @returns {Promise<Object>} - Promise resolving to { trades, nextKey }
+ */
+export async function fetchTrades(params = {}) {
+  const { bettor, maker, startDate, marketHashes, paginationKey } = params;
+
+  // Construct API URL with query parameters
+  const url = new URL(`${API.BASE_URL}${API.ENDPOINTS.TRADES}`);
+  url.searchParams.append('baseToken', TOKENS.USDC.ADDRESS);
+  url.searchParams.append('pageSize', TRADES.PAGE_SIZE.toString());
+
+  if (bettor) url.searchParams.append('bettor', bettor);
+  if (maker !== undefined) url.searchParams.append('maker', String(maker));
+  if (startDate) url.searchParams.append('startDate', startDate.toString());
+  if (marketHashes && marketHashes.length) url.searchParams.append('marketHashes', marketHashes.join(','));
+  if (paginationKey) url.searchParams.append('paginationKey', paginationKey);
+
+  try {
+    logger.info('Fetching trades', { bettor, maker, startDate, paginationKey });
+
+    const response = await fetch(url.toString());
+
+    if (!response.ok) {
+      throw new Error(`API Error: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+
+    if (data.status !== 'success') {
+      throw new Error(`API Error: ${data.status}`);
+    }
+
+    logger.info(`Fetched ${data.data.trades.length} trades`);
+    return {
+      trades: data.data.trades,
+      nextKey: data.data.nextKey || null
+    };
+  } catch (error) {
+    logger.error('Error fetching trades:', error);
+    throw error;
+  }
+}
+
+/**
+ * Fetches pages of trades matching the parameters, up to TRADES.MAX_PAGES per call
+ * @param {Object} params - Query parameters (see fetchTrades); paginationKey resumes an earlier call
+ * @returns {Promise<Object>} - Promise resolving to { trades, nextKey }; nextKey is null once the window is exhausted
+ */
+export async function fetchAllTrades(params = {}) {
+  const trades = [];
+  let paginationKey = params.paginationKey || null;
+
+  for (let page = 0; page < TRADES.MAX_PAGES; page++) {
+    const result = await fetchTrades({ ...params, paginationKey });
+    trades.push(...result.trades);
+
+    // Stop when the last page was not full or there is no next page
+    if (!result.nextKey || result.trades.length < TRADES.PAGE_SIZE) {
+      return { trades, nextKey: null };
+    }
+
+    paginationKey = result.nextKey;
+  }
+
+  logger.warn(`Stopped fetching trades after ${TRADES.MAX_PAGES} pages; more trades remain from nextKey ${paginationKey}`);
+  return { trades, nextKey: paginationKey };
+}
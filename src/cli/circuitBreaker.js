@@ -0,0 +1,73 @@
+// src/cli/circuitBreaker.js - CLI flow for acknowledging a tripped circuit breaker
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import { getCircuitBreakerTrip, acknowledgeCircuitBreaker } from '../core/circuitBreaker.js';
+import { getAllPositions } from '../core/positionManager.js';
+import { logger, cliLogger } from '../utils/logger.js';
+import { formatDate } from '../utils/dateUtils.js';
+
+/**
+ * Displays a warning while the circuit breaker is tripped
+ * @returns {void}
+ */
+export function displayCircuitBreakerWarning() {
+  const trip = getCircuitBreakerTrip();
+
+  if (!trip) {
+    return;
+  }
+
+  console.log(chalk.red.bold('⚠ CIRCUIT BREAKER TRIPPED - all orders cancelled and trading paused'));
+  console.log(chalk.dim('Reason: ') + chalk.red(trip.reason) + chalk.dim(` (${formatDate(trip.trippedAt)})`));
+}
+
+/**
+ * Shows the current trip and resumes trading once the user explicitly acknowledges it
+ * @returns {Promise<void>}
+ */
+export async function reviewCircuitBreaker() {
+  const trip = getCircuitBreakerTrip();
+
+  if (!trip) {
+    console.log('\n' + chalk.green('✓ Circuit breaker is not tripped'));
+    return;
+  }
+
+  console.log('\n' + chalk.cyan('┌' + '─'.repeat(60) + '┐'));
+  console.log(chalk.cyan('│') + chalk.bold(' CIRCUIT BREAKER ') + ' '.repeat(43) + chalk.cyan('│'));
+  console.log(chalk.cyan('└' + '─'.repeat(60) + '┘\n'));
+
+  const pausedCount = getAllPositions().filter(position => position.status === 'CIRCUIT_PAUSED').length;
+
+  console.log(chalk.dim('Tripped At: ') + chalk.white(formatDate(trip.trippedAt)));
+  console.log(chalk.dim('Reason: ') + chalk.red(trip.reason));
+  console.log(chalk.dim('Paused Positions: ') + chalk.yellow(pausedCount));
+  console.log(chalk.dim('\nCheck the logs and the exchange before resuming. Paused positions will re-check their risk'));
+  console.log(chalk.dim('thresholds and repost orders at the current market.'));
+
+  const { confirm } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'confirm',
+      message: chalk.yellow('Acknowledge the trip and resume trading?'),
+      prefix: chalk.red('⚠'),
+      default: false
+    }
+  ]);
+
+  if (!confirm) {
+    console.log('\n' + chalk.yellow('ℹ Trading remains paused'));
+    return;
+  }
+
+  try {
+    console.log('\n' + chalk.dim('─'.repeat(60)));
+    cliLogger.info(chalk.dim('Resuming trading...'));
+    await acknowledgeCircuitBreaker();
+    cliLogger.info(chalk.green(`✓ Circuit breaker acknowledged, ${pausedCount} position(s) resumed`));
+    console.log(chalk.dim('─'.repeat(60)));
+  } catch (error) {
+    cliLogger.error(chalk.red(`✗ Error resuming trading: ${error.message}`));
+    logger.error('Error acknowledging circuit breaker:', error);
+  }
+}
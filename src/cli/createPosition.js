@@ -5,12 +5,14 @@ import { fetchSports } from '../api/fetchSports.js';
 import { fetchActiveLeaguesForSport } from '../api/fetchSports.js';
 import { fetchFixturesForLeague } from '../api/fetchSports.js';
 import { fetchMarketsForEvent } from '../api/fetchSports.js';
-import { createNewPosition } from '../core/positionManager.js';
+import { createNewPosition, createMarketMakingPositions } from '../core/positionManager.js';
 import { initializeMarketMonitoring } from '../core/marketMonitor.js';
 import { postInitialOrder } from '../core/positionManager.js';
 import { logger, cliLogger } from '../utils/logger.js';
-import { CLI, TIME } from '../config/constants.js';
+import { CLI, TIME, POSITION, ODDS, ORDER, MARKET_MAKING, REFERENCE_PRICE, RISK_HYSTERESIS } from '../config/constants.js';
 import { formatDate } from '../utils/dateUtils.js';
+import { getPricingPrompts, toPricingSettings, getRiskPrompts, toRiskSettings, formatResumeThresholds, formatPricingStrategy, formatPremiumSchedule, formatLadder, formatClipSize, formatRoundingMode, formatRepriceTolerance, formatReferencePrice, formatPennyJump, formatOddsBand } from './utils.js';
+import { DEFAULT_PRICING_STRATEGY } from '../core/pricingStrategies.js';
 
 /**
  * CLI flow for creating a new position
@@ -24,11 +26,14 @@ export async function createPosition() {
     
     // Variables used across steps
     let sportId;
+    let sportName;
     let leagueId;
+    let leagueName;
     let eventId;
     let selectedFixture;
     let market;
     let outcomeIndex;
+    let isMarketMaking = false;
     
     let step = 1;
     while (step <= 6) {
@@ -50,7 +55,7 @@ export async function createPosition() {
               choices: [
                 ...sports.map(sport => ({
                   name: chalk.white(sport.label),
-                  value: { type: 'select', sportId: sport.sportId }
+                  value: { type: 'select', sportId: sport.sportId, sportName: sport.label }
                 })),
                 { name: chalk.red('Back to main menu'), value: { type: 'back' } }
               ]
@@ -62,6 +67,7 @@ export async function createPosition() {
           }
           
           sportId = action.sportId;
+          sportName = action.sportName;
           step++;
           break;
         }
@@ -84,7 +90,7 @@ export async function createPosition() {
               choices: [
                 ...leagues.map(league => ({
                   name: chalk.white(league.label),
-                  value: { type: 'select', leagueId: league.leagueId }
+                  value: { type: 'select', leagueId: league.leagueId, leagueName: league.label }
                 })),
                 { name: chalk.red('Back to sports selection'), value: { type: 'back' } }
               ]
@@ -97,6 +103,7 @@ export async function createPosition() {
           }
           
           leagueId = action.leagueId;
+          leagueName = action.leagueName;
           step++;
           break;
         }
@@ -205,6 +212,10 @@ export async function createPosition() {
                   name: chalk.green(market.outcomeTwoName),
                   value: { type: 'select', outcomeIndex: 2 }
                 },
+                {
+                  name: chalk.blue('Both outcomes (two-sided market making)'),
+                  value: { type: 'select', outcomeIndex: null, isMarketMaking: true }
+                },
                 { name: chalk.red('Back to market selection'), value: { type: 'back' } }
               ]
             }
@@ -216,6 +227,7 @@ export async function createPosition() {
           }
           
           outcomeIndex = action.outcomeIndex;
+          isMarketMaking = Boolean(action.isMarketMaking);
           step++;
           break;
         }
@@ -245,63 +257,100 @@ export async function createPosition() {
           if (action.type === 'default') {
             settings = {
               maxFillAmount: 100,
+              pricingStrategy: DEFAULT_PRICING_STRATEGY,
+              pricingParams: {},
               premium: CLI.DEFAULT_PREMIUM,
+              premiumSchedule: [],
+              ladder: [],
+              roundingMode: ODDS.DEFAULT_ROUNDING_MODE,
+              referencePriceMode: REFERENCE_PRICE.DEFAULT_MODE,
+              referenceDepthSize: REFERENCE_PRICE.DEFAULT_DEPTH_SIZE,
+              pennyJump: false,
+              pennyJumpMaxOdds: null,
+              minDecimalOdds: null,
+              maxDecimalOdds: null,
+              clipSize: 0,
+              clipRandomRange: 0,
               maxVig: CLI.DEFAULT_MAX_VIG,
               minLiquidity: CLI.DEFAULT_LIQUIDITY,
+              resumeVig: null,
+              resumeLiquidity: null,
+              riskCooldownMs: RISK_HYSTERESIS.COOLDOWN_MS,
               minBetSizeOdds: CLI.DEFAULT_MIN_BET_SIZE_ODDS,
-              minBetSizeVig: CLI.DEFAULT_MIN_BET_SIZE_VIG
+              minBetSizeVig: CLI.DEFAULT_MIN_BET_SIZE_VIG,
+              cancelBeforeStartMinutes: POSITION.CANCEL_BEFORE_START_MINUTES,
+              minUpdateIntervalMs: ORDER.MIN_UPDATE_INTERVAL_MS,
+              repriceTolerance: ORDER.REPRICE_TOLERANCE,
+              repriceToleranceUnit: ORDER.REPRICE_TOLERANCE_UNIT,
+              inventorySkew: MARKET_MAKING.DEFAULT_INVENTORY_SKEW
             };
           } else {
-            settings = await inquirer.prompt([
+            const answers = await inquirer.prompt([
               {
                 type: 'number',
                 name: 'maxFillAmount',
-                message: chalk.yellow('Enter your maximum bet size in USDC:'),
+                message: chalk.yellow(isMarketMaking
+                  ? 'Enter your combined maximum exposure across both outcomes in USDC:'
+                  : 'Enter your maximum bet size in USDC:'),
                 prefix: chalk.cyan('◆'),
                 default: 100,
                 validate: value => value > 0 ? true : chalk.red('Please enter a positive number')
               },
               {
                 type: 'number',
-                name: 'premium',
-                message: chalk.yellow('Enter your premium percentage (e.g., 10 for 10%):'),
+                name: 'inventorySkew',
+                message: chalk.yellow('Enter the inventory skew percentage (how much the lighter side tightens at full imbalance):'),
                 prefix: chalk.cyan('◆'),
-                default: CLI.DEFAULT_PREMIUM,
+                default: MARKET_MAKING.DEFAULT_INVENTORY_SKEW,
+                when: () => isMarketMaking,
                 validate: value => value >= 0 && value < 100 ? true : chalk.red('Please enter a number between 0 and 100')
               },
+              ...getPricingPrompts(),
+              ...getRiskPrompts(),
               {
                 type: 'number',
-                name: 'maxVig',
-                message: chalk.yellow('Enter your maximum vig tolerance percentage:'),
+                name: 'minBetSizeOdds',
+                message: chalk.yellow('Enter minimum bet size to consider for odds calculation in USDC:'),
                 prefix: chalk.cyan('◆'),
-                default: CLI.DEFAULT_MAX_VIG,
+                default: CLI.DEFAULT_MIN_BET_SIZE_ODDS,
                 validate: value => value > 0 ? true : chalk.red('Please enter a positive number')
               },
               {
                 type: 'number',
-                name: 'minLiquidity',
-                message: chalk.yellow('Enter your minimum liquidity tolerance in USDC:'),
+                name: 'minBetSizeVig',
+                message: chalk.yellow('Enter minimum bet size to consider for vig calculation in USDC:'),
                 prefix: chalk.cyan('◆'),
-                default: CLI.DEFAULT_LIQUIDITY,
+                default: CLI.DEFAULT_MIN_BET_SIZE_VIG,
                 validate: value => value > 0 ? true : chalk.red('Please enter a positive number')
               },
               {
                 type: 'number',
-                name: 'minBetSizeOdds',
-                message: chalk.yellow('Enter minimum bet size to consider for odds calculation in USDC:'),
+                name: 'clipSize',
+                message: chalk.yellow('Enter an iceberg clip size in USDC (0 to show the full size):'),
                 prefix: chalk.cyan('◆'),
-                default: CLI.DEFAULT_MIN_BET_SIZE_ODDS,
-                validate: value => value > 0 ? true : chalk.red('Please enter a positive number')
+                default: 0,
+                validate: value => value >= 0 ? true : chalk.red('Please enter zero or a positive number')
               },
               {
                 type: 'number',
-                name: 'minBetSizeVig',
-                message: chalk.yellow('Enter minimum bet size to consider for vig calculation in USDC:'),
+                name: 'clipRandomRange',
+                message: chalk.yellow('Enter a random range in USDC to vary each clip by (+/-, 0 for fixed clips):'),
                 prefix: chalk.cyan('◆'),
-                default: CLI.DEFAULT_MIN_BET_SIZE_VIG,
-                validate: value => value > 0 ? true : chalk.red('Please enter a positive number')
+                default: 0,
+                when: answers => answers.clipSize > 0,
+                validate: value => value >= 0 ? true : chalk.red('Please enter zero or a positive number')
+              },
+              {
+                type: 'number',
+                name: 'cancelBeforeStartMinutes',
+                message: chalk.yellow('Enter how many minutes before the start to cancel and stop quoting:'),
+                prefix: chalk.cyan('◆'),
+                default: POSITION.CANCEL_BEFORE_START_MINUTES,
+                validate: value => value >= 0 ? true : chalk.red('Please enter zero or a positive number')
               }
             ]);
+            
+            settings = toRiskSettings(toPricingSettings(answers));
           }
           
           // Create the position
@@ -316,30 +365,63 @@ export async function createPosition() {
             teamTwoName: market.teamTwoName,
             eventId,
             leagueId,
+            leagueName,
             sportId,
+            sportName,
             line: market.line,
             maxFillAmount: settings.maxFillAmount,
+            pricingStrategy: settings.pricingStrategy,
+            pricingParams: settings.pricingParams,
             premium: settings.premium,
+            premiumSchedule: settings.premiumSchedule,
+            ladder: settings.ladder,
+            roundingMode: settings.roundingMode,
+            referencePriceMode: settings.referencePriceMode,
+            referenceDepthSize: settings.referenceDepthSize,
+            pennyJump: settings.pennyJump,
+            pennyJumpMaxOdds: settings.pennyJumpMaxOdds,
+            minDecimalOdds: settings.minDecimalOdds,
+            maxDecimalOdds: settings.maxDecimalOdds,
+            clipSize: settings.clipSize,
+            clipRandomRange: settings.clipRandomRange || 0,
             maxVig: settings.maxVig,
             minLiquidity: settings.minLiquidity,
+            resumeVig: settings.resumeVig,
+            resumeLiquidity: settings.resumeLiquidity,
+            riskCooldownMs: settings.riskCooldownMs,
             minBetSizeOdds: settings.minBetSizeOdds,
             minBetSizeVig: settings.minBetSizeVig,
+            cancelBeforeStartMinutes: settings.cancelBeforeStartMinutes,
+            minUpdateIntervalMs: settings.minUpdateIntervalMs,
+            repriceTolerance: settings.repriceTolerance,
+            repriceToleranceUnit: settings.repriceToleranceUnit,
             startDate: selectedFixture.startDate
           };
-          const position = await createNewPosition(positionData);
           
-          // Initialize market monitoring
-          cliLogger.info(chalk.dim('Initializing market monitoring...'));
-          const monitoringInitialized = await initializeMarketMonitoring(position);
+          // Market making quotes both outcomes as a linked pair of positions
+          const createdPositions = isMarketMaking
+            ? await createMarketMakingPositions(
+                { ...positionData, inventorySkew: settings.inventorySkew },
+                { 1: market.outcomeOneName, 2: market.outcomeTwoName }
+              )
+            : [await createNewPosition(positionData)];
           
-          if (!monitoringInitialized) {
-            cliLogger.error(chalk.red('✗ Failed to initialize market monitoring'));
-            return;
+          for (const createdPosition of createdPositions) {
+            // Initialize market monitoring
+            cliLogger.info(chalk.dim('Initializing market monitoring...'));
+            const monitoringInitialized = await initializeMarketMonitoring(createdPosition);
+            
+            if (!monitoringInitialized) {
+              cliLogger.error(chalk.red('✗ Failed to initialize market monitoring'));
+              return;
+            }
+            
+            // Post initial order
+            cliLogger.info(chalk.dim(`Posting initial order for ${createdPosition.outcomeName}...`));
+            await postInitialOrder(createdPosition.id);
           }
           
-          // Post initial order
-          cliLogger.info(chalk.dim('Posting initial order...'));
-          await postInitialOrder(position.id);
+          const position = createdPositions[0];
           
           cliLogger.info(chalk.green('✓ Position created successfully!'));
           console.log(chalk.dim('─'.repeat(60)));
@@ -349,13 +431,36 @@ export async function createPosition() {
           console.log(chalk.cyan('│') + chalk.bold(' POSITION SUMMARY ') + ' '.repeat(44) + chalk.cyan('│'));
           console.log(chalk.cyan('└' + '─'.repeat(60) + '┘\n'));
           
-          console.log(chalk.dim('ID: ') + chalk.white(position.id));
+          console.log(chalk.dim('ID: ') + chalk.white(createdPositions.map(createdPosition => createdPosition.id).join(', ')));
           console.log(chalk.dim('Market: ') + chalk.white(`${market.teamOneName} vs ${market.teamTwoName}`));
-          console.log(chalk.dim('Outcome: ') + chalk.green(position.outcomeName));
-          console.log(chalk.dim('Max Bet Size: ') + chalk.yellow(`${position.maxFillAmount} USDC`));
+          if (isMarketMaking) {
+            console.log(chalk.dim('Outcomes: ') + chalk.green(`${market.outcomeOneName} / ${market.outcomeTwoName}`) + chalk.dim(' (market making)'));
+            console.log(chalk.dim('Max Exposure: ') + chalk.yellow(`${position.maxExposure} USDC combined`));
+            console.log(chalk.dim('Inventory Skew: ') + chalk.yellow(`${position.inventorySkew}%`));
+          } else {
+            console.log(chalk.dim('Outcome: ') + chalk.green(position.outcomeName));
+            console.log(chalk.dim('Max Bet Size: ') + chalk.yellow(`${position.maxFillAmount} USDC`));
+          }
+          console.log(chalk.dim('Pricing Strategy: ') + chalk.white(formatPricingStrategy(position)));
           console.log(chalk.dim('Premium: ') + chalk.yellow(`${position.premium}%`));
+          if (position.premiumSchedule.length > 0) {
+            console.log(chalk.dim('Premium Schedule: ') + chalk.yellow(formatPremiumSchedule(position.premiumSchedule)));
+          }
+          console.log(chalk.dim('Reference Price: ') + chalk.white(formatReferencePrice(position)));
+          console.log(chalk.dim('Odds Rounding: ') + chalk.white(formatRoundingMode(position)));
+          console.log(chalk.dim('Penny Jump: ') + chalk.white(formatPennyJump(position)));
+          console.log(chalk.dim('Odds Band: ') + chalk.yellow(formatOddsBand(position)) + chalk.dim(' (decimal)'));
+          console.log(chalk.dim('Min Reprice Interval: ') + chalk.yellow(`${position.minUpdateIntervalMs / 1000}s`));
+          console.log(chalk.dim('Reprice Tolerance: ') + chalk.yellow(formatRepriceTolerance(position)));
+          if (position.clipSize > 0) {
+            console.log(chalk.dim('Iceberg Clip: ') + chalk.yellow(formatClipSize(position)));
+          }
+          if (position.ladder.length > 0) {
+            console.log(chalk.dim('Ladder: ') + chalk.yellow(formatLadder(position.ladder)) + chalk.dim(' (size %:premium %)'));
+          }
           console.log(chalk.dim('Max Vig: ') + chalk.yellow(`${position.maxVig}%`));
           console.log(chalk.dim('Min Liquidity: ') + chalk.yellow(`${position.minLiquidity} USDC`));
+          console.log(chalk.dim('Resume When: ') + chalk.yellow(formatResumeThresholds(position)));
           console.log('\n' + chalk.dim('─'.repeat(60)));
           
           step++;
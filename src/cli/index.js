@@ -3,6 +3,11 @@ import inquirer from 'inquirer';
 import chalk from 'chalk';
 import { createPosition } from './createPosition.js';
 import { viewPositions } from './viewPositions.js';
+import { reviewReconciliation } from './reconciliation.js';
+import { viewPositionHistory } from './positionHistory.js';
+import { viewRiskLimits } from './riskLimits.js';
+import { displayCircuitBreakerWarning, reviewCircuitBreaker } from './circuitBreaker.js';
+import { isCircuitBreakerTripped } from '../core/circuitBreaker.js';
 import { cancelAllActiveOrders } from '../core/orderManager.js';
 import { closeConnection } from '../api/websocket.js';
 import { logger, cliLogger } from '../utils/logger.js';
@@ -50,15 +55,28 @@ function displayHeader() {
 
 /**
  * Displays main menu and handles user selection
+ * @param {Object} [options] - Startup options
+ * @param {Object} [options.reconciliation] - Startup order reconciliation summary to review first
  * @returns {Promise<void>}
  */
-export async function startCLI() {
+export async function startCLI(options = {}) {
   let running = true;
   
   displayHeader();
   
+  if (options.reconciliation) {
+    await reviewReconciliation(options.reconciliation);
+  }
+  
   while (running) {
     console.log('\n');
+    displayCircuitBreakerWarning();
+    
+    // Trading only resumes after the trip is explicitly acknowledged here
+    const breakerChoices = isCircuitBreakerTripped()
+      ? [{ name: chalk.red.bold('Acknowledge circuit breaker and resume trading'), value: 'acknowledge' }]
+      : [];
+    
     const { action } = await inquirer.prompt([
       {
         type: 'list',
@@ -66,6 +84,7 @@ export async function startCLI() {
         message: chalk.yellow('What would you like to do?'),
         prefix: chalk.cyan('◆'),
         choices: [
+          ...breakerChoices,
           { 
             name: chalk.green('Create a new position'),
             value: 'create'
@@ -74,6 +93,14 @@ export async function startCLI() {
             name: chalk.blue('View active positions'),
             value: 'view'
           },
+          {
+            name: chalk.cyan('View position history'),
+            value: 'history'
+          },
+          {
+            name: chalk.magenta('View portfolio risk limits'),
+            value: 'limits'
+          },
           {
             name: chalk.red('Exit'),
             value: 'exit'
@@ -94,6 +121,20 @@ export async function startCLI() {
           displayHeader();
           break;
           
+        case 'history':
+          await viewPositionHistory();
+          displayHeader();
+          break;
+          
+        case 'limits':
+          await viewRiskLimits();
+          displayHeader();
+          break;
+          
+        case 'acknowledge':
+          await reviewCircuitBreaker();
+          break;
+          
         case 'exit':
           running = false;
           await exitApplication();
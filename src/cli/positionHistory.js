@@ -0,0 +1,106 @@
+// src/cli/positionHistory.js - CLI flow for viewing settled positions
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import { getPositionHistory } from '../core/positionManager.js';
+import { calculatePositionPnl, summarisePnl } from '../core/pnlLedger.js';
+import { logger, cliLogger } from '../utils/logger.js';
+import { formatImpliedOdds, formatDecimalOdds } from '../utils/oddsUtils.js';
+import { formatDate, formatTimestamp } from '../utils/dateUtils.js';
+import { formatPnl } from './utils.js';
+
+/**
+ * CLI flow for viewing settled positions
+ * @returns {Promise<void>}
+ */
+export async function viewPositionHistory() {
+  try {
+    const history = getPositionHistory();
+
+    if (history.length === 0) {
+      console.log('\n' + chalk.yellow('ℹ No settled positions found'));
+      return;
+    }
+
+    console.log('\n' + chalk.cyan('┌' + '─'.repeat(60) + '┐'));
+    console.log(chalk.cyan('│') + chalk.bold(' POSITION HISTORY ') + ' '.repeat(42) + chalk.cyan('│'));
+    console.log(chalk.cyan('└' + '─'.repeat(60) + '┘\n'));
+
+    const summary = summarisePnl(history);
+    console.log(chalk.dim('Settled Positions: ') + chalk.white(summary.positionCount) +
+      chalk.dim(' | Total Stake: ') + chalk.yellow(`${summary.totalStake.toFixed(2)} USDC`) +
+      chalk.dim(' | Realized P&L: ') + formatPnl(summary.realizedPnl) + '\n');
+
+    const { positionId } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'positionId',
+        message: chalk.yellow('Select a settled position to view:'),
+        prefix: chalk.cyan('◆'),
+        choices: [
+          ...history.map(position => ({
+            name: chalk.white(`${position.teamOneName} vs ${position.teamTwoName} - `) +
+                  chalk.green(position.outcomeName) + ' ' +
+                  formatPnl(position.settlement.realizedPnl),
+            value: position.id
+          })),
+          { name: chalk.yellow('Back to main menu'), value: null }
+        ]
+      }
+    ]);
+
+    if (!positionId) {
+      return;
+    }
+
+    displaySettledPosition(history.find(position => position.id === positionId));
+
+    await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'continue',
+        message: chalk.dim('Press enter to return to the main menu'),
+        prefix: chalk.cyan('◆')
+      }
+    ]);
+  } catch (error) {
+    console.log('\n');
+    cliLogger.error(chalk.red(`✗ Error viewing position history: ${error.message}`));
+    logger.error('Error in position history flow:', error);
+  }
+}
+
+/**
+ * Displays the result of a settled position
+ * @param {Object} position - Settled position object
+ */
+function displaySettledPosition(position) {
+  const { settlement } = position;
+  const pnl = calculatePositionPnl(position);
+
+  console.log('\n' + chalk.cyan('┌' + '─'.repeat(60) + '┐'));
+  console.log(chalk.cyan('│') + chalk.bold(' SETTLED POSITION ') + ' '.repeat(42) + chalk.cyan('│'));
+  console.log(chalk.cyan('└' + '─'.repeat(60) + '┘\n'));
+
+  console.log(chalk.dim('ID: ') + chalk.white(position.id));
+  console.log(chalk.dim('Market: ') + chalk.white(`${position.teamOneName} vs ${position.teamTwoName}`));
+  console.log(chalk.dim('Outcome: ') + chalk.green(position.outcomeName));
+  console.log(chalk.dim('Start Date: ') + chalk.white(formatDate(position.startDate)));
+  console.log(chalk.dim('Reported: ') + chalk.white(formatTimestamp(settlement.reportedDate)));
+  console.log(chalk.dim('Winning Outcome: ') + chalk.white(settlement.winningOutcomeName));
+
+  if (settlement.teamOneScore !== undefined && settlement.teamTwoScore !== undefined) {
+    console.log(chalk.dim('Final Score: ') + chalk.white(`${settlement.teamOneScore} - ${settlement.teamTwoScore}`));
+  }
+
+  console.log('\n' + chalk.cyan('Result:'));
+  console.log(chalk.dim('Filled Stake: ') + chalk.yellow(`${pnl.totalStake.toFixed(2)} USDC`) +
+    chalk.dim(` of ${position.maxFillAmount} USDC`));
+  if (pnl.averageImpliedOdds) {
+    console.log(chalk.dim('Average Achieved Odds: ') +
+      chalk.yellow(formatImpliedOdds(pnl.averageImpliedOdds)) +
+      chalk.dim(` (${formatDecimalOdds(1/pnl.averageImpliedOdds)})`));
+  }
+  console.log(chalk.dim('Realized P&L: ') + formatPnl(settlement.realizedPnl));
+
+  console.log('\n' + chalk.dim('─'.repeat(60)));
+}
@@ -0,0 +1,67 @@
+// src/cli/reconciliation.js - CLI flow for reviewing startup order reconciliation
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import { cancelOrphanOrders } from '../core/orderReconciler.js';
+import { logger, cliLogger } from '../utils/logger.js';
+import { formatImpliedOdds } from '../utils/oddsUtils.js';
+
+/**
+ * Displays the startup reconciliation summary and offers to cancel orphaned orders
+ * @param {Object} summary - Summary returned by reconcileExchangeOrders
+ * @returns {Promise<void>}
+ */
+export async function reviewReconciliation(summary) {
+  console.log('\n' + chalk.cyan('┌' + '─'.repeat(60) + '┐'));
+  console.log(chalk.cyan('│') + chalk.bold(' STARTUP RECONCILIATION ') + ' '.repeat(36) + chalk.cyan('│'));
+  console.log(chalk.cyan('└' + '─'.repeat(60) + '┘\n'));
+
+  if (summary.error) {
+    cliLogger.error(chalk.red(`✗ Could not fetch live orders: ${summary.error}`));
+    return;
+  }
+
+  console.log(chalk.dim('Live Orders on Exchange: ') + chalk.white(summary.liveOrderCount));
+  console.log(chalk.dim('Confirmed (already tracked): ') + chalk.green(summary.confirmed.length));
+  console.log(chalk.dim('Adopted by Positions: ') + chalk.green(summary.adopted.length));
+  console.log(chalk.dim('Released (no longer live): ') + chalk.yellow(summary.released.length));
+  console.log(chalk.dim('Cancelled (position paused or order oversized): ') + chalk.yellow(summary.cancelled.length));
+  console.log(chalk.dim('Orphaned: ') + (summary.orphans.length > 0 ? chalk.red : chalk.green)(summary.orphans.length));
+
+  if (summary.orphans.length === 0) {
+    console.log('\n' + chalk.dim('─'.repeat(60)));
+    return;
+  }
+
+  console.log('\n' + chalk.cyan('Orphaned Orders:'));
+  for (const order of summary.orphans) {
+    console.log(chalk.dim('• ') + chalk.blue(order.orderHash) + chalk.dim(
+      ` | Outcome ${order.outcomeIndex} | ${formatImpliedOdds(order.impliedOdds)} | ${order.remainingSize.toFixed(2)} USDC remaining`
+    ));
+  }
+
+  const { confirm } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'confirm',
+      message: chalk.yellow(`Cancel ${summary.orphans.length} orphaned order(s) that belong to no position?`),
+      prefix: chalk.red('⚠'),
+      default: false
+    }
+  ]);
+
+  if (!confirm) {
+    console.log('\n' + chalk.yellow('ℹ Orphaned orders left live'));
+    return;
+  }
+
+  try {
+    console.log('\n' + chalk.dim('─'.repeat(60)));
+    cliLogger.info(chalk.dim('Cancelling orphaned orders...'));
+    const { cancelledCount } = await cancelOrphanOrders(summary.orphans);
+    cliLogger.info(chalk.green(`✓ Cancelled ${cancelledCount} orphaned order(s)`));
+    console.log(chalk.dim('─'.repeat(60)));
+  } catch (error) {
+    cliLogger.error(chalk.red(`✗ Error cancelling orphaned orders: ${error.message}`));
+    logger.error('Error cancelling orphaned orders:', error);
+  }
+}
@@ -0,0 +1,52 @@
+// src/cli/riskLimits.js - CLI flow for viewing portfolio exposure limit utilisation
+import inquirer from 'inquirer';
+import chalk from 'chalk';
+import { getPortfolioUtilisation } from '../core/riskManager.js';
+import { logger, cliLogger } from '../utils/logger.js';
+import { formatLimitUtilisation } from './utils.js';
+
+/**
+ * CLI flow for viewing how much of each portfolio exposure limit is used
+ * @returns {Promise<void>}
+ */
+export async function viewRiskLimits() {
+  try {
+    console.log('\n' + chalk.cyan('┌' + '─'.repeat(60) + '┐'));
+    console.log(chalk.cyan('│') + chalk.bold(' PORTFOLIO RISK LIMITS ') + ' '.repeat(37) + chalk.cyan('│'));
+    console.log(chalk.cyan('└' + '─'.repeat(60) + '┘\n'));
+
+    const utilisations = getPortfolioUtilisation();
+
+    if (utilisations.length === 0) {
+      console.log(chalk.yellow('ℹ No active positions or configured limits'));
+    } else {
+      console.log(chalk.dim('Exposure is filled stake plus the unfilled size of live orders, across active positions.'));
+
+      let currentLabel = null;
+
+      for (const utilisation of utilisations) {
+        if (utilisation.label !== currentLabel) {
+          currentLabel = utilisation.label;
+          console.log('\n' + chalk.cyan(`${currentLabel}:`));
+        }
+
+        console.log(chalk.dim(`${utilisation.name}: `) + formatLimitUtilisation(utilisation));
+      }
+    }
+
+    console.log('\n' + chalk.dim('─'.repeat(60)));
+
+    await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'continue',
+        message: chalk.dim('Press enter to return to the main menu'),
+        prefix: chalk.cyan('◆')
+      }
+    ]);
+  } catch (error) {
+    console.log('\n');
+    cliLogger.error(chalk.red(`✗ Error viewing risk limits: ${error.message}`));
+    logger.error('Error in risk limits flow:', error);
+  }
+}
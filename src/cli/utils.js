@@ -1,7 +1,18 @@
 // src/cli/utils.js - CLI utility functions
 import chalk from 'chalk';
 import { cliLogger } from '../utils/logger.js';
-import { CLI } from '../config/constants.js';
+import { CLI, PRICING, ODDS, ORDER, REFERENCE_PRICE, RISK_HYSTERESIS } from '../config/constants.js';
+import { getResumeThresholds } from '../core/positionManager.js';
+import { getPricingStrategy, listPricingStrategies, DEFAULT_PRICING_STRATEGY } from '../core/pricingStrategies.js';
+import { DEVIG_METHODS } from '../utils/devigUtils.js';
+import { ROUNDING_MODES } from '../utils/oddsUtils.js';
+
+// CLI labels for the odds rounding modes
+const ROUNDING_MODE_LABELS = {
+  [ROUNDING_MODES.MAKER_FAVOURABLE]: 'Maker favourable (never below the configured premium)',
+  [ROUNDING_MODES.NEAREST]: 'Nearest tick',
+  [ROUNDING_MODES.TAKER_FAVOURABLE]: 'Taker favourable (fills sooner, gives up part of the premium)'
+};
 
 /**
  * Displays a temporary message that clears after a timeout
@@ -63,13 +74,19 @@ function getStatusColor(status) {
       return 'green';
     case 'COMPLETED':
       return 'blue';
+    case 'SETTLED':
+      return 'cyan';
     case 'RISK_PAUSED':
+    case 'BAND_PAUSED':
+    case 'STALE_PAUSED':
       return 'yellow';
     case 'ERROR':
+    case 'CIRCUIT_PAUSED':
       return 'red';
     case 'INITIALIZING':
       return 'magenta';
     case 'CLOSED':
+    case 'EXPIRED_PREMATCH':
       return 'gray';
     default:
       return 'white';
@@ -87,7 +104,13 @@ export function formatOrderStatus(orderStatus) {
     'ACTIVE': 'Active',
     'CANCELLED': 'Cancelled',
     'CANCELLED_RISK': 'Cancelled (Risk)',
+    'CANCELLED_BAND': 'Cancelled (Odds Band)',
+    'CANCELLED_STALE': 'Cancelled (Stale Market)',
     'CANCELLED_UPDATE': 'Cancelled (Update)',
+    'NO_QUOTE': 'No Quote (Strategy)',
+    'BLOCKED_LIMIT': 'Blocked (Exposure Limit)',
+    'BLOCKED_CIRCUIT': 'Blocked (Circuit Breaker)',
+    'CANCELLED_EXPIRY': 'Cancelled (Pre-match Cutoff)',
     'ERROR': 'Error',
     'FILLED': 'Filled'
   };
@@ -117,6 +140,484 @@ export function formatRiskStatus(position) {
   return chalk.green('OK');
 }
 
+/**
+ * Formats a signed USDC profit/loss amount for display
+ * @param {number|null} value - Amount in USDC
+ * @returns {string} - Colored amount string
+ */
+export function formatPnl(value) {
+  if (value === null || value === undefined) return chalk.dim('N/A');
+  
+  const formatted = `${value >= 0 ? '+' : ''}${value.toFixed(2)} USDC`;
+  return value >= 0 ? chalk.green(formatted) : chalk.red(formatted);
+}
+
+/**
+ * Formats a portfolio exposure limit's utilisation for display
+ * @param {Object} utilisation - Limit utilisation from the risk manager
+ * @returns {string} - Colored exposure, limit and utilisation string
+ */
+export function formatLimitUtilisation(utilisation) {
+  const percent = `${utilisation.utilisation.toFixed(1)}%`;
+  const coloredPercent = utilisation.utilisation >= 100
+    ? chalk.red(percent)
+    : utilisation.utilisation >= CLI.LIMIT_WARNING_UTILISATION ? chalk.yellow(percent) : chalk.green(percent);
+  
+  return chalk.yellow(`${utilisation.exposure.toFixed(2)}`) + chalk.dim(` / ${utilisation.limit.toFixed(2)} USDC (`) +
+    coloredPercent + chalk.dim(')');
+}
+
+/**
+ * Formats a position's pricing strategy for display
+ * @param {Object} position - Position object
+ * @returns {string} - Strategy label
+ */
+export function formatPricingStrategy(position) {
+  const name = position.pricingStrategy || DEFAULT_PRICING_STRATEGY;
+  const strategy = getPricingStrategy(name);
+  
+  const label = strategy ? strategy.label : name;
+  
+  if (name === 'FAIR_VALUE') {
+    const params = { ...strategy?.defaultParams, ...position.pricingParams };
+    return `${label} (${params.devigMethod}, ${params.edge}% edge)`;
+  }
+  
+  return label;
+}
+
+/**
+ * Builds the inquirer prompts for choosing a pricing strategy and its parameters
+ * @param {Object} [current] - Position whose settings are used as defaults
+ * @returns {Array<Object>} - Inquirer questions
+ */
+export function getPricingPrompts(current = {}) {
+  const currentParams = current.pricingParams || {};
+  
+  return [
+    {
+      type: 'list',
+      name: 'pricingStrategy',
+      message: chalk.yellow('Select a pricing strategy:'),
+      prefix: chalk.cyan('◆'),
+      choices: listPricingStrategies().map(strategy => ({
+        name: chalk.white(strategy.label),
+        value: strategy.name
+      })),
+      default: current.pricingStrategy || DEFAULT_PRICING_STRATEGY
+    },
+    {
+      type: 'number',
+      name: 'premium',
+      message: chalk.yellow('Enter your premium percentage (e.g., 10 for 10%):'),
+      prefix: chalk.cyan('◆'),
+      default: current.premium ?? CLI.DEFAULT_PREMIUM,
+      when: answers => answers.pricingStrategy === 'FIXED_PREMIUM',
+      validate: value => value >= 0 && value < 100 ? true : chalk.red('Please enter a number between 0 and 100')
+    },
+    {
+      type: 'input',
+      name: 'premiumSchedule',
+      message: chalk.yellow('Enter a premium schedule as minutesBeforeStart:premium pairs (e.g., 1440:15, 30:5), or leave blank for a flat premium or a ladder:'),
+      prefix: chalk.cyan('◆'),
+      default: formatPremiumSchedule(current.premiumSchedule),
+      when: answers => answers.pricingStrategy === 'FIXED_PREMIUM',
+      validate: value => parsePremiumSchedule(value) !== null ? true : chalk.red('Please enter pairs like 1440:15, 30:5 with premiums between 0 and 100')
+    },
+    {
+      type: 'list',
+      name: 'devigMethod',
+      message: chalk.yellow('Select a devig method:'),
+      prefix: chalk.cyan('◆'),
+      choices: Object.values(DEVIG_METHODS),
+      default: currentParams.devigMethod || PRICING.DEFAULT_DEVIG_METHOD,
+      when: answers => answers.pricingStrategy === 'FAIR_VALUE'
+    },
+    {
+      type: 'number',
+      name: 'edge',
+      message: chalk.yellow('Enter your edge over fair value percentage (e.g., 2 for 2%):'),
+      prefix: chalk.cyan('◆'),
+      default: currentParams.edge ?? PRICING.DEFAULT_EDGE,
+      when: answers => answers.pricingStrategy === 'FAIR_VALUE',
+      validate: value => value >= 0 && value < 100 ? true : chalk.red('Please enter a number between 0 and 100')
+    },
+    {
+      type: 'list',
+      name: 'referencePriceMode',
+      message: chalk.yellow('Select the reference price to quote off:'),
+      prefix: chalk.cyan('◆'),
+      choices: [
+        { name: chalk.white('Top of book (best eligible order)'), value: 'TOP_OF_BOOK' },
+        { name: chalk.white('Depth-weighted (average price to fill a target size)'), value: 'DEPTH_WEIGHTED' }
+      ],
+      default: current.referencePriceMode || REFERENCE_PRICE.DEFAULT_MODE
+    },
+    {
+      type: 'number',
+      name: 'referenceDepthSize',
+      message: chalk.yellow('Enter the target size in USDC to weight the reference price over:'),
+      prefix: chalk.cyan('◆'),
+      default: current.referenceDepthSize ?? REFERENCE_PRICE.DEFAULT_DEPTH_SIZE,
+      when: answers => answers.referencePriceMode === 'DEPTH_WEIGHTED',
+      validate: value => value > 0 ? true : chalk.red('Please enter a positive number')
+    },
+    {
+      type: 'confirm',
+      name: 'pennyJump',
+      message: chalk.yellow('Penny-jump competing makers at or better than your price by one tick?'),
+      prefix: chalk.cyan('◆'),
+      default: current.pennyJump || false
+    },
+    {
+      type: 'number',
+      name: 'pennyJumpMaxPercent',
+      message: chalk.yellow('Enter the worst (highest) implied odds % you will penny-jump to (e.g., 52.5):'),
+      prefix: chalk.cyan('◆'),
+      default: current.pennyJumpMaxOdds ? current.pennyJumpMaxOdds * 100 : undefined,
+      when: answers => answers.pennyJump,
+      validate: value => value > 0 && value < 100 ? true : chalk.red('Please enter a number between 0 and 100')
+    },
+    {
+      type: 'number',
+      name: 'minDecimalOdds',
+      message: chalk.yellow('Enter the minimum decimal odds you will bet at (e.g., 1.80), or 0 for no minimum:'),
+      prefix: chalk.cyan('◆'),
+      default: current.minDecimalOdds || 0,
+      validate: value => value === 0 || value > 1 ? true : chalk.red('Please enter 0 or decimal odds above 1')
+    },
+    {
+      type: 'number',
+      name: 'maxDecimalOdds',
+      message: chalk.yellow('Enter the maximum decimal odds you will bet at (e.g., 3.50), or 0 for no maximum:'),
+      prefix: chalk.cyan('◆'),
+      default: current.maxDecimalOdds || 0,
+      validate: (value, answers) => {
+        if (value !== 0 && !(value > 1)) return chalk.red('Please enter 0 or decimal odds above 1');
+        if (value !== 0 && answers.minDecimalOdds && value <= answers.minDecimalOdds) {
+          return chalk.red('The maximum must be above the minimum odds');
+        }
+        return true;
+      }
+    },
+    {
+      type: 'input',
+      name: 'ladder',
+      message: chalk.yellow('Enter ladder levels as sizePercent:premium pairs (e.g., 40:5, 30:8, 30:12), or leave blank for a single order:'),
+      prefix: chalk.cyan('◆'),
+      default: formatLadder(current.ladder),
+      // A level's premium replaces the position's premium outright, which would silently override a schedule
+      when: answers => parsePremiumSchedule(answers.premiumSchedule).length === 0,
+      validate: value => parseLadder(value) !== null ? true : chalk.red('Please enter pairs like 40:5, 30:8, 30:12 with sizes adding up to 100')
+    },
+    {
+      type: 'list',
+      name: 'roundingMode',
+      message: chalk.yellow('Select how to round target odds onto the odds ladder:'),
+      prefix: chalk.cyan('◆'),
+      choices: Object.entries(ROUNDING_MODE_LABELS).map(([value, label]) => ({
+        name: chalk.white(label),
+        value
+      })),
+      default: current.roundingMode || ODDS.DEFAULT_ROUNDING_MODE
+    },
+    {
+      type: 'number',
+      name: 'minUpdateIntervalSeconds',
+      message: chalk.yellow('Enter the minimum seconds between order reprices:'),
+      prefix: chalk.cyan('◆'),
+      default: (current.minUpdateIntervalMs ?? ORDER.MIN_UPDATE_INTERVAL_MS) / 1000,
+      validate: value => value >= 0 ? true : chalk.red('Please enter zero or a positive number')
+    },
+    {
+      type: 'list',
+      name: 'repriceToleranceUnit',
+      message: chalk.yellow('Measure the reprice tolerance in:'),
+      prefix: chalk.cyan('◆'),
+      choices: [
+        { name: chalk.white('Ladder ticks'), value: 'TICKS' },
+        { name: chalk.white('Percentage points of implied odds'), value: 'PERCENT' }
+      ],
+      default: current.repriceToleranceUnit || ORDER.REPRICE_TOLERANCE_UNIT
+    },
+    {
+      type: 'number',
+      name: 'repriceTolerance',
+      message: chalk.yellow('Enter how far the target may move before repricing (0 to reprice on any tick change):'),
+      prefix: chalk.cyan('◆'),
+      default: current.repriceTolerance ?? ORDER.REPRICE_TOLERANCE,
+      validate: value => value >= 0 ? true : chalk.red('Please enter zero or a positive number')
+    }
+  ];
+}
+
+/**
+ * Folds pricing prompt answers into position settings
+ * @param {Object} answers - Answers from prompts including getPricingPrompts
+ * @param {Object} [current] - Position being edited, if any
+ * @returns {Object} - Settings with pricingStrategy, pricingParams and premium
+ */
+export function toPricingSettings(answers, current = {}) {
+  const { devigMethod, edge, minUpdateIntervalSeconds, pennyJumpMaxPercent, ...settings } = answers;
+  
+  settings.premium = settings.premium ?? current.premium ?? CLI.DEFAULT_PREMIUM;
+  settings.premiumSchedule = settings.premiumSchedule !== undefined
+    ? parsePremiumSchedule(settings.premiumSchedule)
+    : current.premiumSchedule || [];
+  settings.ladder = parseLadder(settings.ladder);
+  settings.referenceDepthSize = settings.referenceDepthSize ?? current.referenceDepthSize ?? REFERENCE_PRICE.DEFAULT_DEPTH_SIZE;
+  settings.minUpdateIntervalMs = Math.round(minUpdateIntervalSeconds * 1000);
+  settings.pennyJumpMaxOdds = settings.pennyJump ? pennyJumpMaxPercent / 100 : null;
+  settings.minDecimalOdds = settings.minDecimalOdds || null;
+  settings.maxDecimalOdds = settings.maxDecimalOdds || null;
+  settings.pricingParams = settings.pricingStrategy === 'FAIR_VALUE'
+    ? { ...current.pricingParams, devigMethod, edge }
+    : { ...current.pricingParams };
+  
+  return settings;
+}
+
+/**
+ * Builds the risk threshold prompts, with separate pause and resume thresholds
+ * @param {Object} [current] - Position whose settings are used as defaults
+ * @returns {Array<Object>} - Inquirer questions
+ */
+export function getRiskPrompts(current = {}) {
+  return [
+    {
+      type: 'number',
+      name: 'maxVig',
+      message: chalk.yellow('Enter your maximum vig tolerance percentage:'),
+      prefix: chalk.cyan('◆'),
+      default: current.maxVig ?? CLI.DEFAULT_MAX_VIG,
+      validate: value => value > 0 ? true : chalk.red('Please enter a positive number')
+    },
+    {
+      type: 'number',
+      name: 'resumeVig',
+      message: chalk.yellow('Enter the vig percentage it must fall to before a risk-paused position resumes:'),
+      prefix: chalk.cyan('◆'),
+      default: answers => current.resumeVig ?? Math.max(answers.maxVig - RISK_HYSTERESIS.VIG_RESUME_MARGIN, 0),
+      validate: (value, answers) => value >= 0 && value <= answers.maxVig
+        ? true
+        : chalk.red('Please enter a number between 0 and your maximum vig')
+    },
+    {
+      type: 'number',
+      name: 'minLiquidity',
+      message: chalk.yellow('Enter your minimum liquidity tolerance in USDC:'),
+      prefix: chalk.cyan('◆'),
+      default: current.minLiquidity ?? CLI.DEFAULT_LIQUIDITY,
+      validate: value => value > 0 ? true : chalk.red('Please enter a positive number')
+    },
+    {
+      type: 'number',
+      name: 'resumeLiquidity',
+      message: chalk.yellow('Enter the liquidity in USDC it must recover to before a risk-paused position resumes:'),
+      prefix: chalk.cyan('◆'),
+      default: answers => current.resumeLiquidity ?? answers.minLiquidity * (1 + RISK_HYSTERESIS.LIQUIDITY_RESUME_MARGIN / 100),
+      validate: (value, answers) => value >= answers.minLiquidity
+        ? true
+        : chalk.red('Please enter a number no lower than your minimum liquidity')
+    },
+    {
+      type: 'number',
+      name: 'riskCooldownSeconds',
+      message: chalk.yellow('Enter the minimum seconds a risk-paused position stays paused:'),
+      prefix: chalk.cyan('◆'),
+      default: (current.riskCooldownMs ?? RISK_HYSTERESIS.COOLDOWN_MS) / 1000,
+      validate: value => value >= 0 ? true : chalk.red('Please enter zero or a positive number')
+    }
+  ];
+}
+
+/**
+ * Folds risk prompt answers into position settings
+ * @param {Object} answers - Answers from prompts including getRiskPrompts
+ * @returns {Object} - Settings with riskCooldownMs
+ */
+export function toRiskSettings(answers) {
+  const { riskCooldownSeconds, ...settings } = answers;
+  
+  settings.riskCooldownMs = Math.round(riskCooldownSeconds * 1000);
+  
+  return settings;
+}
+
+/**
+ * Parses a premium schedule entered as minutesBeforeStart:premium pairs
+ * @param {string} input - Schedule text, e.g. "1440:15, 30:5"
+ * @returns {Array<Object>|null} - Schedule points sorted furthest from kickoff first, or null if invalid
+ */
+export function parsePremiumSchedule(input) {
+  if (!input || !input.trim()) return [];
+  
+  const points = [];
+  
+  for (const pair of input.split(',')) {
+    const [minutes, premium] = pair.split(':').map(part => Number(part.trim()));
+    
+    if (!Number.isFinite(minutes) || minutes < 0 || !Number.isFinite(premium) || premium < 0 || premium >= 100) {
+      return null;
+    }
+    
+    points.push({ minutesBeforeStart: minutes, premium });
+  }
+  
+  return points.sort((a, b) => b.minutesBeforeStart - a.minutesBeforeStart);
+}
+
+/**
+ * Formats a premium schedule as minutesBeforeStart:premium pairs
+ * @param {Array<Object>|null} schedule - Schedule points
+ * @returns {string} - Schedule text, empty if there is no schedule
+ */
+export function formatPremiumSchedule(schedule) {
+  if (!schedule || schedule.length === 0) return '';
+  
+  return schedule.map(point => `${point.minutesBeforeStart}:${point.premium}`).join(', ');
+}
+
+/**
+ * Parses ladder levels entered as sizePercent:premium pairs
+ * @param {string} input - Ladder text, e.g. "40:5, 30:8, 30:12"
+ * @returns {Array<Object>|null} - Levels in the order entered, or null if invalid
+ */
+export function parseLadder(input) {
+  if (!input || !input.trim()) return [];
+  
+  const levels = [];
+  
+  for (const pair of input.split(',')) {
+    const [sizePercent, premium] = pair.split(':').map(part => Number(part.trim()));
+    
+    if (!Number.isFinite(sizePercent) || sizePercent <= 0 || !Number.isFinite(premium) || premium < 0 || premium >= 100) {
+      return null;
+    }
+    
+    levels.push({ sizePercent, premium });
+  }
+  
+  const totalPercent = levels.reduce((sum, level) => sum + level.sizePercent, 0);
+  return Math.abs(totalPercent - 100) < 0.01 ? levels : null;
+}
+
+/**
+ * Formats ladder levels as sizePercent:premium pairs
+ * @param {Array<Object>|null} ladder - Ladder levels
+ * @returns {string} - Ladder text, empty for a single order
+ */
+export function formatLadder(ladder) {
+  if (!ladder || ladder.length === 0) return '';
+  
+  return ladder.map(level => `${level.sizePercent}:${level.premium}`).join(', ');
+}
+
+/**
+ * Formats a position's reference price setting
+ * @param {Object} position - Position object
+ * @returns {string} - Reference price text
+ */
+export function formatReferencePrice(position) {
+  if (position.referencePriceMode === 'DEPTH_WEIGHTED') {
+    return `Depth-weighted over ${position.referenceDepthSize ?? REFERENCE_PRICE.DEFAULT_DEPTH_SIZE} USDC`;
+  }
+  
+  return 'Top of book';
+}
+
+/**
+ * Formats a position's penny-jump setting
+ * @param {Object} position - Position object
+ * @returns {string} - Penny-jump text
+ */
+export function formatPennyJump(position) {
+  if (!position.pennyJump || !position.pennyJumpMaxOdds) {
+    return 'Off';
+  }
+  
+  return `On, up to ${(position.pennyJumpMaxOdds * 100).toFixed(2)}%`;
+}
+
+/**
+ * Formats a position's acceptable odds band
+ * @param {Object} position - Position object
+ * @returns {string} - Odds band text
+ */
+export function formatOddsBand(position) {
+  const { minDecimalOdds, maxDecimalOdds } = position;
+  
+  if (minDecimalOdds && maxDecimalOdds) {
+    return `${minDecimalOdds.toFixed(2)} - ${maxDecimalOdds.toFixed(2)}`;
+  } else if (minDecimalOdds) {
+    return `${minDecimalOdds.toFixed(2)} or longer`;
+  } else if (maxDecimalOdds) {
+    return `${maxDecimalOdds.toFixed(2)} or shorter`;
+  }
+  
+  return 'Any';
+}
+
+/**
+ * Formats when a risk-paused position resumes
+ * @param {Object} position - Position object
+ * @returns {string} - Resume thresholds and cool-down text
+ */
+export function formatResumeThresholds(position) {
+  const { resumeVig, resumeLiquidity } = getResumeThresholds(position);
+  const cooldownSeconds = (position.riskCooldownMs ?? RISK_HYSTERESIS.COOLDOWN_MS) / 1000;
+  
+  return `Vig <= ${resumeVig.toFixed(2)}%, liquidity >= ${resumeLiquidity.toFixed(2)} USDC, after ${cooldownSeconds}s`;
+}
+
+/**
+ * Formats a risk state transition from a position's risk timeline
+ * @param {Object} transition - Risk timeline entry
+ * @returns {string} - Colored transition text
+ */
+export function formatRiskTransition(transition) {
+  const time = new Date(transition.timestamp).toLocaleString();
+  const state = transition.state === 'PAUSED' ? chalk.red('Paused') : chalk.green('Resumed');
+  
+  return `${chalk.dim(time)} ${state} ${chalk.white(transition.reason)}`;
+}
+
+/**
+ * Formats a position's odds rounding mode
+ * @param {Object} position - Position object
+ * @returns {string} - Rounding mode label
+ */
+export function formatRoundingMode(position) {
+  const mode = position.roundingMode || ODDS.DEFAULT_ROUNDING_MODE;
+  return ROUNDING_MODE_LABELS[mode] || mode;
+}
+
+/**
+ * Formats a position's reprice tolerance band
+ * @param {Object} position - Position object
+ * @returns {string} - Tolerance text
+ */
+export function formatRepriceTolerance(position) {
+  const tolerance = position.repriceTolerance ?? ORDER.REPRICE_TOLERANCE;
+  const unit = position.repriceToleranceUnit || ORDER.REPRICE_TOLERANCE_UNIT;
+  
+  if (tolerance === 0) {
+    return 'Any tick change';
+  }
+  
+  return unit === 'PERCENT' ? `${tolerance}%` : `${tolerance} ticks`;
+}
+
+/**
+ * Formats a position's iceberg clip size and random range
+ * @param {Object} position - Position object
+ * @returns {string} - Clip size text
+ */
+export function formatClipSize(position) {
+  const range = position.clipRandomRange > 0 ? ` ± ${position.clipRandomRange}` : '';
+  return `${position.clipSize}${range} USDC`;
+}
+
 /**
  * Clears the terminal screen
  */
@@ -1,11 +1,17 @@
 // src/cli/viewPositions.js - CLI flow for viewing active positions
 import inquirer from 'inquirer';
 import chalk from 'chalk';
-import { getAllPositions, getPosition, updatePosition, closePosition } from '../core/positionManager.js';
+import { getAllPositions, getPosition, updatePosition, closePosition, getInventoryImbalance } from '../core/positionManager.js';
 import { logger, cliLogger } from '../utils/logger.js';
 import { formatImpliedOdds, formatDecimalOdds } from '../utils/oddsUtils.js';
-import { CLI } from '../config/constants.js';
-import { formatDate } from '../utils/dateUtils.js';
+import { CLI, POSITION, ORDER, REFERENCE_PRICE } from '../config/constants.js';
+import { formatDate, timeUntil } from '../utils/dateUtils.js';
+import { getPrematchCutoff } from '../core/positionClock.js';
+import { calculatePositionPnl, summarisePnl } from '../core/pnlLedger.js';
+import { formatPnl, formatPricingStrategy, formatPremiumSchedule, formatLadder, formatClipSize, formatRoundingMode, formatRepriceTolerance, formatReferencePrice, formatPennyJump, formatOddsBand, formatLimitUtilisation, formatResumeThresholds, formatRiskTransition, getPricingPrompts, toPricingSettings, getRiskPrompts, toRiskSettings } from './utils.js';
+import { getEffectivePremium } from '../core/pricingStrategies.js';
+import { getLimitUtilisation, getPositionExposure } from '../core/riskManager.js';
+import { getActiveOrderHashes } from '../core/ladder.js';
 
 /**
  * CLI flow for viewing and managing active positions
@@ -26,6 +32,8 @@ export async function viewPositions() {
     console.log(chalk.cyan('│') + chalk.bold(' ACTIVE POSITIONS ') + ' '.repeat(45) + chalk.cyan('│'));
     console.log(chalk.cyan('└' + '─'.repeat(60) + '┘\n'));
     
+    displayPnlSummary(positions);
+    
     const positionChoice = await inquirer.prompt([
       {
         type: 'list',
@@ -102,14 +110,40 @@ function displayPositionDetails(position) {
   console.log(chalk.dim('Market: ') + chalk.white(`${position.teamOneName} vs ${position.teamTwoName}`));
   console.log(chalk.dim('Type: ') + chalk.white(`${getMarketTypeName(position.marketType)}${position.line ? chalk.dim(` (${position.line})`) : ''}`));
   console.log(chalk.dim('Outcome: ') + chalk.green(position.outcomeName));
-  console.log(chalk.dim('Start Date: ') + chalk.white(formatDate(position.startDate)));
+  if (position.positionType === 'MARKET_MAKING') {
+    displayMarketMaking(position);
+  }
+  console.log(chalk.dim('Start Date: ') + chalk.white(formatDate(position.startDate)) + 
+    chalk.dim(` (${timeUntil(position.startDate)})`));
+  displayPrematchCutoff(position);
   console.log(chalk.dim('Status: ') + getStatusColor(position.status)(position.status));
-  console.log(chalk.dim('Order Status: ') + getStatusColor(position.orderStatus)(position.orderStatus));
+  if (position.pauseReason) {
+    console.log(chalk.dim('Pause Reason: ') + chalk.yellow(position.pauseReason));
+  }
+  
+  // Single-level positions show their one order inline; ladders get a per-level section below
+  const [firstLevel] = position.levels;
+  const isLaddered = position.levels.length > 1;
+  
+  if (!isLaddered) {
+    console.log(chalk.dim('Order Status: ') + getStatusColor(firstLevel.orderStatus)(firstLevel.orderStatus));
+  }
   console.log(chalk.dim('Bet Size: ') + chalk.yellow(`${position.maxFillAmount} USDC`));
-  console.log(chalk.dim('Filled: ') + chalk.yellow(`${position.fillAmount} USDC`) + chalk.dim(` (${position.fillPercentage.toFixed(2)}%)`));
+  console.log(chalk.dim('Filled: ') + chalk.yellow(`${position.fillAmount.toFixed(2)} USDC`) + chalk.dim(` (${position.fillPercentage.toFixed(2)}%)`));
+  console.log(chalk.dim('Remaining: ') + chalk.yellow(`${position.remainingAmount.toFixed(2)} USDC`));
   
-  if (position.activeOrderHash) {
-    console.log(chalk.dim('Active Order: ') + chalk.blue(position.activeOrderHash));
+  const filledOrderCount = Object.values(position.orderFills || {}).filter(amount => amount > 0).length;
+  if (filledOrderCount > 0) {
+    console.log(chalk.dim('Orders Filled: ') + chalk.white(filledOrderCount) + chalk.dim(` of ${position.pastOrderHashes.length + getActiveOrderHashes(position).length} posted`));
+  }
+  
+  const skippedReprices = position.stats?.skippedReprices || 0;
+  if (skippedReprices > 0) {
+    console.log(chalk.dim('Skipped Reprices: ') + chalk.white(skippedReprices) + chalk.dim(' (target within tolerance)'));
+  }
+  
+  if (!isLaddered && firstLevel.activeOrderHash) {
+    console.log(chalk.dim('Active Order: ') + chalk.blue(firstLevel.activeOrderHash));
   }
   
   if (position.bestTakerOdds) {
@@ -118,18 +152,60 @@ function displayPositionDetails(position) {
       chalk.dim(` (${formatDecimalOdds(1/position.bestTakerOdds)})`));
   }
   
-  if (position.lastOrderOdds) {
-    const premiumOdds = position.lastOrderOdds * (1 - position.premium/100);
+  displayReferencePrices(position);
+  
+  if (!isLaddered && firstLevel.lastPostedOdds) {
     console.log(chalk.dim('Last Order Odds: ') + 
-      chalk.yellow(formatImpliedOdds(premiumOdds)) + 
-      chalk.dim(` (${formatDecimalOdds(1/premiumOdds)})`));
+      chalk.yellow(formatImpliedOdds(firstLevel.lastPostedOdds)) + 
+      chalk.dim(` (${formatDecimalOdds(1/firstLevel.lastPostedOdds)})`));
+  }
+  
+  if (isLaddered) {
+    displayLadderLevels(position);
+  }
+  
+  // Profit & Loss
+  const pnl = calculatePositionPnl(position);
+  console.log('\n' + chalk.cyan('Profit & Loss:'));
+  console.log(chalk.dim('Fills Recorded: ') + chalk.white(pnl.fillCount));
+  if (pnl.averageImpliedOdds) {
+    console.log(chalk.dim('Average Achieved Odds: ') + 
+      chalk.yellow(formatImpliedOdds(pnl.averageImpliedOdds)) + 
+      chalk.dim(` (${formatDecimalOdds(1/pnl.averageImpliedOdds)})`));
+  }
+  console.log(chalk.dim('Liability: ') + chalk.yellow(`${pnl.liability.toFixed(2)} USDC`));
+  console.log(chalk.dim('Potential Payout: ') + chalk.yellow(`${pnl.potentialPayout.toFixed(2)} USDC`) + 
+    chalk.dim(' (profit ') + formatPnl(pnl.potentialProfit) + chalk.dim(')'));
+  if (pnl.realizedPnl !== null) {
+    console.log(chalk.dim('Realized P&L: ') + formatPnl(pnl.realizedPnl));
+  } else {
+    console.log(chalk.dim('Unrealized P&L: ') + formatPnl(pnl.unrealizedPnl) + chalk.dim(' (marked to best taker odds)'));
   }
   
   // Risk Settings
   console.log('\n' + chalk.cyan('Risk Settings:'));
+  console.log(chalk.dim('Pricing Strategy: ') + chalk.white(formatPricingStrategy(position)));
   console.log(chalk.dim('Premium: ') + chalk.yellow(`${position.premium}%`));
+  console.log(chalk.dim('Reference Price: ') + chalk.white(formatReferencePrice(position)));
+  console.log(chalk.dim('Odds Rounding: ') + chalk.white(formatRoundingMode(position)));
+  console.log(chalk.dim('Penny Jump: ') + chalk.white(formatPennyJump(position)));
+  console.log(chalk.dim('Odds Band: ') + chalk.yellow(formatOddsBand(position)) + chalk.dim(' (decimal)'));
+  console.log(chalk.dim('Min Reprice Interval: ') + chalk.yellow(`${(position.minUpdateIntervalMs ?? ORDER.MIN_UPDATE_INTERVAL_MS) / 1000}s`));
+  console.log(chalk.dim('Reprice Tolerance: ') + chalk.yellow(formatRepriceTolerance(position)));
+  if (position.clipSize > 0) {
+    console.log(chalk.dim('Iceberg Clip: ') + chalk.yellow(formatClipSize(position)));
+  }
+  if (position.ladder && position.ladder.length > 0) {
+    console.log(chalk.dim('Ladder: ') + chalk.yellow(formatLadder(position.ladder)) + chalk.dim(' (size %:premium %)'));
+  }
+  if (position.premiumSchedule && position.premiumSchedule.length > 0) {
+    console.log(chalk.dim('Premium Schedule: ') + chalk.yellow(formatPremiumSchedule(position.premiumSchedule)) + 
+      chalk.dim(' (minutes before start:premium %)'));
+    console.log(chalk.dim('Current Scheduled Premium: ') + chalk.yellow(`${getEffectivePremium(position).toFixed(2)}%`));
+  }
   console.log(chalk.dim('Max Vig: ') + chalk.yellow(`${position.maxVig}%`));
   console.log(chalk.dim('Min Liquidity: ') + chalk.yellow(`${position.minLiquidity} USDC`));
+  console.log(chalk.dim('Resume When: ') + chalk.yellow(formatResumeThresholds(position)));
   console.log(chalk.dim('Min Bet Size for Odds: ') + chalk.yellow(`${position.minBetSizeOdds} USDC`));
   console.log(chalk.dim('Min Bet Size for Vig: ') + chalk.yellow(`${position.minBetSizeVig} USDC`));
   
@@ -150,9 +226,43 @@ function displayPositionDetails(position) {
     console.log(chalk.dim('Risk Status: ') + chalk.green('OK'));
   }
   
+  // Most recent risk pauses and resumes, newest last
+  const riskTimeline = (position.riskTimeline || []).slice(-CLI.RISK_TIMELINE_ENTRIES);
+  if (riskTimeline.length > 0) {
+    console.log('\n' + chalk.cyan('Risk Timeline:'));
+    for (const transition of riskTimeline) {
+      console.log('  ' + formatRiskTransition(transition));
+    }
+  }
+  
+  // Portfolio Limits
+  const limitUtilisation = getLimitUtilisation(position);
+  if (limitUtilisation.length > 0) {
+    console.log('\n' + chalk.cyan('Portfolio Limits:'));
+    console.log(chalk.dim('Position Exposure: ') + chalk.yellow(`${getPositionExposure(position).toFixed(2)} USDC`) +
+      chalk.dim(' (filled + open orders)'));
+    for (const utilisation of limitUtilisation) {
+      console.log(chalk.dim(`${utilisation.label} (${utilisation.name}): `) + formatLimitUtilisation(utilisation));
+    }
+  }
+  
   console.log('\n' + chalk.dim('─'.repeat(60)));
 }
 
+/**
+ * Displays P&L totals across a set of positions
+ * @param {Array<Object>} positions - Array of positions
+ */
+function displayPnlSummary(positions) {
+  const summary = summarisePnl(positions);
+  
+  console.log(chalk.dim('Total Filled Stake: ') + chalk.yellow(`${summary.totalStake.toFixed(2)} USDC`) +
+    chalk.dim(' | Liability: ') + chalk.yellow(`${summary.liability.toFixed(2)} USDC`) +
+    chalk.dim(' | Potential Payout: ') + chalk.yellow(`${summary.potentialPayout.toFixed(2)} USDC`));
+  console.log(chalk.dim('Unrealized P&L: ') + formatPnl(summary.unrealizedPnl) +
+    chalk.dim(' | Realized P&L: ') + formatPnl(summary.realizedPnl) + '\n');
+}
+
 /**
  * Handles the flow for closing a position
  * @param {Object} position - Position object
@@ -177,8 +287,13 @@ async function handleClosePosition(position) {
   try {
     console.log('\n' + chalk.dim('─'.repeat(60)));
     cliLogger.info(chalk.dim('Closing position...'));
-    await closePosition(position.id);
-    cliLogger.info(chalk.green('✓ Position closed successfully'));
+    if (!await closePosition(position.id)) {
+      cliLogger.warn(chalk.yellow('ℹ Position was not closed; it may already be closed'));
+    } else if (position.fillAmount > 0) {
+      cliLogger.info(chalk.green('✓ Position closed, filled stake is kept until the market settles'));
+    } else {
+      cliLogger.info(chalk.green('✓ Position closed successfully'));
+    }
     console.log(chalk.dim('─'.repeat(60)));
   } catch (error) {
     cliLogger.error(chalk.red(`✗ Error closing position: ${error.message}`));
@@ -196,57 +311,77 @@ async function handleEditPosition(position) {
     console.log(chalk.cyan('│') + chalk.bold(' EDIT POSITION SETTINGS ') + ' '.repeat(40) + chalk.cyan('│'));
     console.log(chalk.cyan('└' + '─'.repeat(60) + '┘\n'));
     
-    const updatedSettings = await inquirer.prompt([
+    // Exposure and skew apply to both sides of a market-making pair; everything else to this side only
+    const isMarketMaking = position.positionType === 'MARKET_MAKING';
+    
+    const answers = await inquirer.prompt([
       {
         type: 'number',
         name: 'maxFillAmount',
-        message: chalk.yellow('Enter your maximum bet size in USDC:'),
+        message: chalk.yellow(isMarketMaking
+          ? 'Enter your combined maximum exposure across both outcomes in USDC:'
+          : 'Enter your maximum bet size in USDC:'),
         prefix: chalk.cyan('◆'),
         default: position.maxFillAmount,
         validate: value => value > 0 ? true : chalk.red('Please enter a positive number')
       },
       {
         type: 'number',
-        name: 'premium',
-        message: chalk.yellow('Enter your premium percentage (e.g., 10 for 10%):'),
+        name: 'inventorySkew',
+        message: chalk.yellow('Enter the inventory skew percentage (how much the lighter side tightens at full imbalance):'),
         prefix: chalk.cyan('◆'),
-        default: position.premium,
+        default: position.inventorySkew,
+        when: () => isMarketMaking,
         validate: value => value >= 0 && value < 100 ? true : chalk.red('Please enter a number between 0 and 100')
       },
+      ...getPricingPrompts(position),
+      ...getRiskPrompts(position),
       {
         type: 'number',
-        name: 'maxVig',
-        message: chalk.yellow('Enter your maximum vig tolerance percentage:'),
+        name: 'minBetSizeOdds',
+        message: chalk.yellow('Enter minimum bet size to consider for odds calculation in USDC:'),
         prefix: chalk.cyan('◆'),
-        default: position.maxVig,
+        default: position.minBetSizeOdds,
         validate: value => value > 0 ? true : chalk.red('Please enter a positive number')
       },
       {
         type: 'number',
-        name: 'minLiquidity',
-        message: chalk.yellow('Enter your minimum liquidity tolerance in USDC:'),
+        name: 'minBetSizeVig',
+        message: chalk.yellow('Enter minimum bet size to consider for vig calculation in USDC:'),
         prefix: chalk.cyan('◆'),
-        default: position.minLiquidity,
+        default: position.minBetSizeVig,
         validate: value => value > 0 ? true : chalk.red('Please enter a positive number')
       },
       {
         type: 'number',
-        name: 'minBetSizeOdds',
-        message: chalk.yellow('Enter minimum bet size to consider for odds calculation in USDC:'),
+        name: 'clipSize',
+        message: chalk.yellow('Enter an iceberg clip size in USDC (0 to show the full size):'),
         prefix: chalk.cyan('◆'),
-        default: position.minBetSizeOdds,
-        validate: value => value > 0 ? true : chalk.red('Please enter a positive number')
+        default: position.clipSize || 0,
+        validate: value => value >= 0 ? true : chalk.red('Please enter zero or a positive number')
       },
       {
         type: 'number',
-        name: 'minBetSizeVig',
-        message: chalk.yellow('Enter minimum bet size to consider for vig calculation in USDC:'),
+        name: 'clipRandomRange',
+        message: chalk.yellow('Enter a random range in USDC to vary each clip by (+/-, 0 for fixed clips):'),
         prefix: chalk.cyan('◆'),
-        default: position.minBetSizeVig,
-        validate: value => value > 0 ? true : chalk.red('Please enter a positive number')
+        default: position.clipRandomRange || 0,
+        when: answers => answers.clipSize > 0,
+        validate: value => value >= 0 ? true : chalk.red('Please enter zero or a positive number')
+      },
+      {
+        type: 'number',
+        name: 'cancelBeforeStartMinutes',
+        message: chalk.yellow('Enter how many minutes before the start to cancel and stop quoting:'),
+        prefix: chalk.cyan('◆'),
+        default: position.cancelBeforeStartMinutes ?? POSITION.CANCEL_BEFORE_START_MINUTES,
+        validate: value => value >= 0 ? true : chalk.red('Please enter zero or a positive number')
       }
     ]);
     
+    const updatedSettings = toRiskSettings(toPricingSettings(answers, position));
+    updatedSettings.clipRandomRange = updatedSettings.clipRandomRange ?? 0;
+    
     console.log('\n' + chalk.dim('─'.repeat(60)));
     cliLogger.info(chalk.dim('Updating position...'));
     await updatePosition(position.id, updatedSettings);
@@ -263,6 +398,93 @@ async function handleEditPosition(position) {
   }
 }
 
+/**
+ * Displays the top-of-book and depth-weighted taker odds side by side
+ * @param {Object} position - Position object
+ */
+function displayReferencePrices(position) {
+  const metrics = position.marketMetrics;
+  
+  if (!metrics || !metrics.topOfBookTakerOdds) {
+    return;
+  }
+  
+  const topOfBook = metrics.topOfBookTakerOdds[position.outcomeIndex];
+  const depthWeighted = metrics.depthWeightedTakerOdds[position.outcomeIndex];
+  const isDepthWeighted = position.referencePriceMode === 'DEPTH_WEIGHTED';
+  const formatOdds = odds => odds
+    ? chalk.yellow(formatImpliedOdds(odds)) + chalk.dim(` (${formatDecimalOdds(1/odds)})`)
+    : chalk.dim('N/A');
+  
+  console.log(chalk.dim('Top of Book: ') + formatOdds(topOfBook) + (isDepthWeighted ? '' : chalk.dim(' [reference]')));
+  console.log(chalk.dim(`Depth-weighted (${position.referenceDepthSize ?? REFERENCE_PRICE.DEFAULT_DEPTH_SIZE} USDC): `) +
+    formatOdds(depthWeighted) + (isDepthWeighted ? chalk.dim(' [reference]') : ''));
+}
+
+/**
+ * Displays a market-making side's pair, combined exposure and inventory skew
+ * @param {Object} position - Position object
+ */
+function displayMarketMaking(position) {
+  const linkedPosition = getPosition(position.linkedPositionId);
+  const imbalance = getInventoryImbalance(position);
+  
+  console.log(chalk.dim('Market Making: ') + chalk.blue('Two-sided') +
+    chalk.dim(` (paired with ${linkedPosition ? linkedPosition.outcomeName : position.linkedPositionId})`));
+  console.log(chalk.dim('Max Exposure: ') + chalk.yellow(`${position.maxExposure} USDC combined`));
+  console.log(chalk.dim('Inventory Skew: ') + chalk.yellow(`${position.inventorySkew}%`) +
+    chalk.dim(` (imbalance ${(imbalance * 100).toFixed(1)}%, ${imbalance > 0 ? 'tightened' : imbalance < 0 ? 'widened' : 'balanced'})`));
+}
+
+/**
+ * Displays each ladder level's size, price and order
+ * @param {Object} position - Position object
+ */
+function displayLadderLevels(position) {
+  console.log('\n' + chalk.cyan('Ladder Levels:'));
+  
+  position.levels.forEach((level, levelIndex) => {
+    const levelSize = position.maxFillAmount * level.sizePercent / 100;
+    const premium = level.premium !== null ? `${level.premium}% premium` : 'strategy premium';
+    const odds = level.lastPostedOdds 
+      ? chalk.yellow(formatImpliedOdds(level.lastPostedOdds)) + chalk.dim(` (${formatDecimalOdds(1/level.lastPostedOdds)})`)
+      : chalk.dim('N/A');
+    
+    console.log(chalk.white(`Level ${levelIndex + 1}: `) + chalk.yellow(`${level.sizePercent}%`) + chalk.dim(` @ ${premium} | `) + 
+      getStatusColor(level.orderStatus)(level.orderStatus) + chalk.dim(' | ') + odds + 
+      chalk.dim(` | Filled ${level.fillAmount.toFixed(2)} / ${levelSize.toFixed(2)} USDC`));
+    
+    if (level.activeOrderHash) {
+      console.log(chalk.dim('  Order: ') + chalk.blue(level.activeOrderHash));
+    }
+  });
+}
+
+/**
+ * Displays the pre-match cutoff and a countdown to it
+ * @param {Object} position - Position object
+ */
+function displayPrematchCutoff(position) {
+  const cutoff = getPrematchCutoff(position);
+  if (!cutoff) {
+    return;
+  }
+  
+  const minutes = position.cancelBeforeStartMinutes ?? POSITION.CANCEL_BEFORE_START_MINUTES;
+  let countdown;
+  
+  if (position.status === 'EXPIRED_PREMATCH') {
+    countdown = chalk.gray('expired');
+  } else if (new Date(cutoff).getTime() > Date.now()) {
+    countdown = chalk.yellow(`in ${timeUntil(cutoff)}`);
+  } else {
+    countdown = chalk.red('reached');
+  }
+  
+  console.log(chalk.dim('Pre-match Cutoff: ') + chalk.white(`${minutes} min before start`) + 
+    chalk.dim(' (') + countdown + chalk.dim(')'));
+}
+
 /**
  * Gets a color function for a status
  * @param {string} status - Status string
@@ -274,18 +496,30 @@ function getStatusColor(status) {
       return chalk.green;
     case 'COMPLETED':
       return chalk.blue;
+    case 'SETTLED':
+      return chalk.cyan;
     case 'RISK_PAUSED':
+    case 'BAND_PAUSED':
+    case 'STALE_PAUSED':
       return chalk.yellow;
     case 'ERROR':
+    case 'CIRCUIT_PAUSED':
       return chalk.red;
     case 'INITIALIZING':
       return chalk.magenta;
     case 'CLOSED':
+    case 'EXPIRED_PREMATCH':
       return chalk.gray;
     case 'CANCELLED':
     case 'CANCELLED_RISK':
+    case 'CANCELLED_BAND':
+    case 'CANCELLED_STALE':
     case 'CANCELLED_UPDATE':
+    case 'CANCELLED_EXPIRY':
       return chalk.red;
+    case 'BLOCKED_LIMIT':
+    case 'BLOCKED_CIRCUIT':
+      return chalk.yellow;
     case 'FILLED':
       return chalk.green;
     default:
@@ -1,5 +1,6 @@
 // src/config/constants.js - Application constants
 import { ethers } from 'ethers';
+import { SETTINGS } from './settings.js';
 
 // Token-related constants
 export const TOKENS = {
@@ -32,10 +33,13 @@ export const API = {
     LEAGUES: '/leagues/active',
     FIXTURES: '/fixture/active',
     MARKETS: '/markets/active',
+    FIND_MARKETS: '/markets/find',
     ORDERS: '/orders',
     POST_ORDER: '/orders/new',
     CANCEL_ORDER: '/orders/cancel/v2',
+    TRADES: '/trades',
     USER_TOKEN: '/user/token',
+    METADATA: '/metadata',
   }
 };
 
@@ -48,11 +52,21 @@ export const WS = {
   POLLING_INTERVAL: 10000, // 10 seconds
 };
 
+// Stale market watchdog constants
+export const STALE_MARKET = {
+  MAX_UPDATE_AGE_MS: 120000, // 2 minutes without an orderbook update before a REST snapshot is forced
+  CHECK_INTERVAL: 15000 // 15 seconds between staleness checks
+};
+
 // Odds-related constants
 export const ODDS = {
-  LADDER_STEP_SIZE: 25, // 0.25%
+  LADDER_STEP_SIZE: 25, // 0.25%, used until the live ladder step is fetched from /metadata
+  MIN_LADDER_STEP_SIZE: 10, // 0.10%
+  MAX_LADDER_STEP_SIZE: 100, // 1.00%
+  DEFAULT_ROUNDING_MODE: 'MAKER_FAVOURABLE', // Never round maker odds up past the configured premium
   MIN_IMPLIED_ODDS: 0.01, // 1%
   MAX_IMPLIED_ODDS: 0.99, // 99%
+  EPSILON: 1e-9, // Odds differences below this are float noise rather than a real move
   STEP_SIZE_DIVISOR: BigInt(10 ** 16)
 };
 
@@ -72,6 +86,14 @@ export const CLI = {
   DEFAULT_LIQUIDITY: 500, // 500 USDC
   DEFAULT_MIN_BET_SIZE_ODDS: 10, // 10 USDC
   DEFAULT_MIN_BET_SIZE_VIG: 20, // 20 USDC
+  LIMIT_WARNING_UTILISATION: 75, // Exposure limit utilisation % shown as a warning
+  RISK_TIMELINE_ENTRIES: 5, // Most recent risk state transitions shown in position details
+};
+
+// Pricing-related constants
+export const PRICING = {
+  DEFAULT_DEVIG_METHOD: 'SHIN',
+  DEFAULT_EDGE: 2 // 2% expected return over devigged fair value
 };
 
 // Order-related constants
@@ -80,12 +102,88 @@ export const ORDER = {
   RETRY_DELAY_MS: 1000, // 1 second
   BACKOFF_FACTOR: 2, // Exponential backoff
   STANDARD_EXPIRY: 2209006800, // Standard expiry date
-  EXPIRY_SECONDS: 3600 // 1 hour in seconds
+  EXPIRY_SECONDS: 3600, // 1 hour in seconds
+  MIN_UPDATE_INTERVAL_MS: 2500, // Default minimum time between reprices of a position's orders
+  REPRICE_TOLERANCE: 0, // Default move the rounded target must exceed before an order is repriced
+  REPRICE_TOLERANCE_UNIT: 'TICKS' // TICKS (ladder steps) or PERCENT (percentage points of implied odds)
+};
+
+// Trade history-related constants
+export const TRADES = {
+  POLL_INTERVAL: 30000, // 30 seconds
+  PAGE_SIZE: 100,
+  MAX_PAGES: 20, // Pages fetched per sync; a longer window resumes from its cursor on the next sync
+  OVERLAP_SECONDS: 300 // Re-fetch the last 5 minutes each sync to catch late-indexed trades
+};
+
+// Settlement-related constants
+export const SETTLEMENT = {
+  POLL_INTERVAL: 60000, // 1 minute
+  MAX_MARKETS_PER_REQUEST: 30 // Limit imposed by /markets/find
+};
+
+// Exchange metadata-related constants
+export const METADATA = {
+  POLL_INTERVAL: 300000 // 5 minutes between odds ladder refreshes
+};
+
+// Reference price-related constants
+export const REFERENCE_PRICE = {
+  DEFAULT_MODE: 'TOP_OF_BOOK', // TOP_OF_BOOK or DEPTH_WEIGHTED
+  DEFAULT_DEPTH_SIZE: 500 // Taker stake in USDC the depth-weighted price is calculated for
+};
+
+// Market making-related constants
+export const MARKET_MAKING = {
+  DEFAULT_INVENTORY_SKEW: 5 // % the lighter side's odds tighten (and the heavier side's widen) at full imbalance
+};
+
+// Portfolio risk limit-related constants, in USDC of filled plus open maker stake (null for no limit)
+export const RISK_LIMITS = {
+  BANKROLL: 2000, // Across every active position
+  MAX_SPORT_EXPOSURE: 1000,
+  MAX_LEAGUE_EXPOSURE: 500,
+  MAX_FIXTURE_EXPOSURE: 250,
+  MIN_ORDER_SIZE: 1 // Orders shrunk below 1 USDC by a limit are blocked instead
+};
+
+// Risk threshold hysteresis constants
+export const RISK_HYSTERESIS = {
+  VIG_RESUME_MARGIN: 0.5, // Vig must fall 0.5 points below max vig before a risk-paused position resumes
+  LIQUIDITY_RESUME_MARGIN: 10, // Liquidity must recover to 10% above min liquidity before a risk-paused position resumes
+  COOLDOWN_MS: 30000, // 30 seconds a position stays risk-paused before it can resume
+  MAX_TIMELINE_ENTRIES: 50 // Risk state transitions kept on each position
+};
+
+// Iceberg-related constants
+export const ICEBERG = {
+  MIN_CLIP_SIZE: 1 // 1 USDC floor after applying the random clip range
+};
+
+// Circuit breaker-related constants
+export const CIRCUIT_BREAKER = {
+  MAX_FILLS_IN_WINDOW: 10, // Fills across every position within the window that trip the breaker
+  FILL_WINDOW_MS: 60000, // 1 minute
+  MAX_CONSECUTIVE_ORDER_ERRORS: 5, // Failed post/cancel attempts in a row that trip the breaker
+  MAX_MARKET_DATA_SILENCE_MS: 300000, // 5 minutes without orderbook data from any market, over the websocket or REST; longer than the stale market refresh period
+  CHECK_INTERVAL: 10000 // 10 seconds between market data silence checks
+};
+
+// Position clock-related constants
+export const CLOCK = {
+  TICK_INTERVAL: 15000 // 15 seconds between time-based checks (repricing, pre-match cutoff)
 };
 
 // Position-related constants
 export const POSITION = {
   FILL_COMPLETION_THRESHOLD: 99, // 99% filled is considered complete
+  CANCEL_BEFORE_START_MINUTES: SETTINGS.CANCEL_BEFORE_START_MINUTES ?? 5, // Default pre-match cutoff for positions that don't set their own, overridable in settings.js
+};
+
+// Storage-related constants
+export const STORAGE = {
+  DATA_DIR: 'data', // Relative to the project root
+  POSITIONS_FILE: 'positions.json'
 };
 
 // The amount necessary to consider a position fully filled (99.5%)
@@ -0,0 +1,27 @@
+// src/config/settings.js - User overrides for application defaults, read from the environment or .env
+import 'dotenv/config';
+
+/**
+ * Reads a non-negative number from an environment variable
+ * @param {string} name - Environment variable name
+ * @returns {number|undefined} - The value, or undefined if unset or invalid
+ */
+function readNonNegativeNumber(name) {
+  const value = process.env[name];
+  if (value === undefined || value.trim() === '') {
+    return undefined;
+  }
+  
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    console.error(`Ignoring ${name}=${value}: expected a non-negative number`);
+    return undefined;
+  }
+  
+  return number;
+}
+
+// Overrides are undefined when not set, leaving the defaults in constants.js in place
+export const SETTINGS = {
+  CANCEL_BEFORE_START_MINUTES: readNonNegativeNumber('CANCEL_BEFORE_START_MINUTES') // Default pre-match cutoff in minutes
+};
@@ -0,0 +1,179 @@
+// src/core/circuitBreaker.js - Kill switch that stops all trading on abnormal activity until acknowledged
+import { cancelAllPositionOrders, pauseAllPositions, resumePausedPositions, getAllPositions } from './positionManager.js';
+import { getLastMarketDataTime } from './marketMonitor.js';
+import { logger } from '../utils/logger.js';
+import { CIRCUIT_BREAKER } from '../config/constants.js';
+
+// The current trip ({ reason, trippedAt }), or null while trading is allowed
+let trip = null;
+
+// Fill times within the fill window, oldest first
+let recentFills = [];
+
+// Failed attempts in a row per order operation, so failing posts still count while cancels succeed
+const consecutiveOrderErrors = { post: 0, cancel: 0 };
+
+// Market data silence is measured from the later of the last orderbook data and the last acknowledgement
+let acknowledgedAt = null;
+
+let checkInterval = null;
+
+/**
+ * Checks whether the circuit breaker has tripped and trading is stopped
+ * @returns {boolean} - True if tripped
+ */
+export function isCircuitBreakerTripped() {
+  return trip !== null;
+}
+
+/**
+ * Gets the current trip
+ * @returns {Object|null} - { reason, trippedAt }, or null if not tripped
+ */
+export function getCircuitBreakerTrip() {
+  return trip;
+}
+
+/**
+ * Trips the circuit breaker: cancels every order and pauses every position until acknowledged
+ * New orders are refused from the moment this is called, before the cancellations complete.
+ * @param {string} reason - Why the breaker tripped
+ * @returns {Promise<void>}
+ */
+export async function tripCircuitBreaker(reason) {
+  if (trip) {
+    return;
+  }
+
+  trip = { reason, trippedAt: new Date().toISOString() };
+  logger.error(`Circuit breaker tripped: ${reason}. Cancelling all orders and pausing every position`, { trip });
+
+  pauseAllPositions(`Circuit breaker: ${reason}`);
+
+  try {
+    await cancelAllPositionOrders();
+    logger.info('Circuit breaker cancelled all position orders');
+  } catch (error) {
+    logger.error(`Circuit breaker could not cancel every order, check the exchange for live orders: ${error.message}`, { error });
+  }
+}
+
+/**
+ * Acknowledges a trip and resumes trading: counters are reset and paused positions are repriced against the current market
+ * @returns {Promise<boolean>} - True if there was a trip to acknowledge
+ */
+export async function acknowledgeCircuitBreaker() {
+  if (!trip) {
+    return false;
+  }
+
+  logger.info('Circuit breaker acknowledged, resuming trading', { trip });
+
+  trip = null;
+  recentFills = [];
+  consecutiveOrderErrors.post = 0;
+  consecutiveOrderErrors.cancel = 0;
+  acknowledgedAt = Date.now();
+
+  await resumePausedPositions();
+  return true;
+}
+
+/**
+ * Records a fill, tripping the breaker if too many land within the fill window
+ * @returns {void}
+ */
+export function recordFillActivity() {
+  const now = Date.now();
+
+  recentFills = recentFills.filter(fillTime => now - fillTime < CIRCUIT_BREAKER.FILL_WINDOW_MS);
+  recentFills.push(now);
+
+  if (recentFills.length >= CIRCUIT_BREAKER.MAX_FILLS_IN_WINDOW) {
+    tripCircuitBreaker(`${recentFills.length} fills within ${CIRCUIT_BREAKER.FILL_WINDOW_MS / 1000}s`).catch(error => {
+      logger.error(`Error tripping circuit breaker: ${error.message}`, { error });
+    });
+  }
+}
+
+/**
+ * Records a failed order post or cancel attempt, tripping the breaker after too many in a row
+ * @param {string} operation - Failed operation (post or cancel)
+ * @param {Error} error - Error from the attempt
+ * @returns {void}
+ */
+export function recordOrderError(operation, error) {
+  consecutiveOrderErrors[operation]++;
+
+  if (consecutiveOrderErrors[operation] >= CIRCUIT_BREAKER.MAX_CONSECUTIVE_ORDER_ERRORS) {
+    tripCircuitBreaker(`${consecutiveOrderErrors[operation]} consecutive order ${operation} errors, last: ${error.message}`).catch(tripError => {
+      logger.error(`Error tripping circuit breaker: ${tripError.message}`, { error: tripError });
+    });
+  }
+}
+
+/**
+ * Records a successful order post or cancel, resetting that operation's consecutive error count
+ * @param {string} operation - Successful operation (post or cancel)
+ * @returns {void}
+ */
+export function recordOrderSuccess(operation) {
+  consecutiveOrderErrors[operation] = 0;
+}
+
+/**
+ * Trips the breaker if no monitored market has delivered orderbook data for too long.
+ * The stale market watchdog refreshes quiet markets over REST and a successful refresh counts as data,
+ * so a quiet pre-match book never trips it; only losing both the websocket and REST does.
+ * @returns {Promise<void>}
+ */
+export async function checkMarketDataSilence() {
+  const lastDataAt = getLastMarketDataTime();
+
+  if (trip || lastDataAt === null) {
+    return;
+  }
+
+  const silenceMs = Date.now() - Math.max(lastDataAt, acknowledgedAt ?? 0);
+
+  if (silenceMs > CIRCUIT_BREAKER.MAX_MARKET_DATA_SILENCE_MS) {
+    await tripCircuitBreaker(`No orderbook data from any market for ${Math.round(silenceMs / 1000)}s`);
+  }
+}
+
+/**
+ * Starts the circuit breaker's market data silence checks. Positions still paused by a trip
+ * before a restart keep the breaker tripped, so trading only resumes once it is acknowledged.
+ * @returns {void}
+ */
+export function startCircuitBreaker() {
+  if (checkInterval) {
+    return;
+  }
+
+  const pausedPosition = getAllPositions().find(position => position.status === 'CIRCUIT_PAUSED');
+
+  if (pausedPosition && !trip) {
+    trip = { reason: `Tripped before restart (${pausedPosition.pauseReason || 'unknown reason'})`, trippedAt: new Date().toISOString() };
+    logger.warn(`Circuit breaker restored in tripped state: ${trip.reason}`);
+  }
+
+  logger.info(`Starting circuit breaker checks every ${CIRCUIT_BREAKER.CHECK_INTERVAL}ms`);
+  checkInterval = setInterval(() => {
+    checkMarketDataSilence().catch(error => {
+      logger.error(`Error checking market data silence: ${error.message}`, { error });
+    });
+  }, CIRCUIT_BREAKER.CHECK_INTERVAL);
+}
+
+/**
+ * Stops the circuit breaker's periodic checks
+ * @returns {void}
+ */
+export function stopCircuitBreaker() {
+  if (checkInterval) {
+    clearInterval(checkInterval);
+    checkInterval = null;
+    logger.info('Stopped circuit breaker checks');
+  }
+}
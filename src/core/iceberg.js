@@ -0,0 +1,31 @@
+// src/core/iceberg.js - Iceberg clip sizing: showing only part of a level's size at a time
+import { ICEBERG, FILL_COMPLETION_THRESHOLD } from '../config/constants.js';
+
+/**
+ * Gets the size to post for a level's order: its whole remaining size, or for an iceberg
+ * the next clip, randomised within the clip range so clips don't reveal a fixed size
+ * @param {Object} position - Position object
+ * @param {Object} level - Ladder level
+ * @returns {number} - Order size in USDC
+ */
+export function getLevelOrderSize(position, level) {
+  if (!position.clipSize || position.clipSize <= 0) {
+    return level.remainingAmount;
+  }
+  
+  const randomOffset = (Math.random() * 2 - 1) * (position.clipRandomRange || 0);
+  const clip = Math.max(position.clipSize + randomOffset, ICEBERG.MIN_CLIP_SIZE);
+  
+  // Whole cents keep clip sizes within USDC precision
+  return Math.min(Math.floor(clip * 100) / 100, level.remainingAmount);
+}
+
+/**
+ * Checks whether an iceberg clip has been completely filled and the level needs its next clip
+ * @param {Object} position - Position object
+ * @param {string} orderHash - Hash of the clip's order
+ * @returns {boolean} - True if the clip's posted size has been filled
+ */
+export function isClipFilled(position, orderHash) {
+  return (position.orderFills[orderHash] || 0) >= position.orderSizes[orderHash] * FILL_COMPLETION_THRESHOLD;
+}
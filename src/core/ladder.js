@@ -0,0 +1,99 @@
+// src/core/ladder.js - Ladder levels of a position and how its fills are split across them
+
+/**
+ * Builds a position's ladder levels from its ladder settings
+ * @param {Array<Object>} ladder - Levels as { sizePercent, premium }; empty for a single level
+ * @returns {Array<Object>} - Levels with empty order slots
+ */
+export function buildLevels(ladder) {
+  const levelSettings = ladder && ladder.length > 0
+    ? ladder
+    : [{ sizePercent: 100, premium: null }];
+  
+  return levelSettings.map(({ sizePercent, premium }) => ({
+    sizePercent,
+    premium: premium ?? null,
+    activeOrderHash: null,
+    orderStatus: 'NONE',
+    lastOrderOdds: null,
+    lastPostedOdds: null,
+    fillAmount: 0,
+    remainingAmount: 0
+  }));
+}
+
+/**
+ * Moves the single order of a position persisted before ladder levels existed into a level
+ * @param {Object} savedPosition - Persisted position
+ * @returns {Array<Object>} - Levels
+ */
+export function migrateSingleOrder(savedPosition) {
+  const [level] = buildLevels([]);
+  
+  level.activeOrderHash = savedPosition.activeOrderHash || null;
+  level.orderStatus = savedPosition.orderStatus || 'NONE';
+  level.lastOrderOdds = savedPosition.lastOrderOdds ?? null;
+  level.lastPostedOdds = savedPosition.lastPostedOdds ?? null;
+  
+  return [level];
+}
+
+/**
+ * Gets the hashes of a position's live orders across all ladder levels
+ * @param {Object} position - Position object
+ * @returns {Array<string>} - Active order hashes
+ */
+export function getActiveOrderHashes(position) {
+  return position.levels
+    .filter(level => level.activeOrderHash)
+    .map(level => level.activeOrderHash);
+}
+
+/**
+ * Gets a position's total filled stake, summed across every order it has posted
+ * @param {Object} position - Position object
+ * @returns {number} - Filled stake in USDC
+ */
+export function getTotalFilled(position) {
+  return Object.values(position.orderFills || {}).reduce((sum, amount) => sum + amount, 0);
+}
+
+/**
+ * Floors a USDC amount to whole cents so float noise from summing fills never reaches an order size
+ * @param {number} amount - Amount in USDC
+ * @returns {number} - Amount floored to cents
+ */
+function floorToCents(amount) {
+  // The small allowance keeps a sum that lands a hair under a whole cent from losing that cent
+  return Math.floor(amount * 100 + 1e-6) / 100;
+}
+
+/**
+ * Re-derives a position's total filled stake, remaining size and fill percentage
+ * from the sum of fills across every order it has posted, then splits them by ladder level.
+ * Level sizes are capped so that together they never exceed the position's remaining size,
+ * and remaining sizes are floored to cents so they can be posted as orders.
+ * @param {Object} position - Position object
+ * @param {number} [sizeCap] - Most the position may still fill, when something other than its own size limits it
+ * @returns {void}
+ */
+export function allocateFills(position, sizeCap = Infinity) {
+  const totalFilled = getTotalFilled(position);
+  
+  position.fillAmount = totalFilled;
+  position.remainingAmount = floorToCents(Math.min(Math.max(position.maxFillAmount - totalFilled, 0), sizeCap));
+  position.fillPercentage = (totalFilled / position.maxFillAmount) * 100;
+  
+  let unallocated = position.remainingAmount;
+  
+  position.levels.forEach((level, levelIndex) => {
+    // Orders posted before levels existed belong to the first level
+    level.fillAmount = Object.entries(position.orderFills || {})
+      .filter(([orderHash]) => (position.orderLevels[orderHash] ?? 0) === levelIndex)
+      .reduce((sum, [, amount]) => sum + amount, 0);
+    
+    const levelSize = position.maxFillAmount * level.sizePercent / 100;
+    level.remainingAmount = floorToCents(Math.min(Math.max(levelSize - level.fillAmount, 0), unallocated));
+    unallocated -= level.remainingAmount;
+  });
+}
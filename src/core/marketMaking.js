@@ -0,0 +1,52 @@
+// src/core/marketMaking.js - Sizing and inventory skew for the two linked sides of a market-making pair
+import { MARKET_MAKING, FILL_COMPLETION_THRESHOLD } from '../config/constants.js';
+
+/**
+ * Gets the size each side of a market-making pair may still quote: half of what the pair's combined
+ * exposure has left, so the two sides' open orders together never exceed it
+ * @param {number} maxExposure - Pair's combined max exposure in USDC
+ * @param {number} pairFillAmount - Stake filled across both sides in USDC
+ * @returns {number} - Size left for one side in USDC, in whole cents
+ */
+export function calculateSideShare(maxExposure, pairFillAmount) {
+  const combinedRemaining = maxExposure - pairFillAmount;
+  return Math.floor(Math.max(combinedRemaining, 0) / 2 * 100) / 100;
+}
+
+/**
+ * Checks whether a market-making pair has used up its combined max exposure
+ * @param {Object} position - Either side of the pair
+ * @param {number} linkedFillAmount - Stake filled on the other side in USDC
+ * @returns {boolean} - True if the pair is filled
+ */
+export function isPairFilled(position, linkedFillAmount) {
+  return position.fillAmount + linkedFillAmount >= position.maxExposure * FILL_COMPLETION_THRESHOLD;
+}
+
+/**
+ * Calculates how far a market-making pair's inventory leans away from this side.
+ * Positive when the other side has more fills, so this side should tighten to rebalance.
+ * @param {Object} position - Position object
+ * @param {number} linkedFillAmount - Stake filled on the other side in USDC
+ * @returns {number} - Imbalance as a fraction of the combined max exposure (-1 to 1), 0 for other positions
+ */
+export function calculateInventoryImbalance(position, linkedFillAmount) {
+  if (position.positionType !== 'MARKET_MAKING' || !position.maxExposure) {
+    return 0;
+  }
+
+  return (linkedFillAmount - position.fillAmount) / position.maxExposure;
+}
+
+/**
+ * Skews a side's target odds by the pair's inventory: a side tightens when the other side
+ * holds more inventory and widens when it holds less
+ * @param {Object} position - Position object
+ * @param {number} targetOdds - Maker implied odds from the pricing strategy
+ * @param {number} linkedFillAmount - Stake filled on the other side in USDC
+ * @returns {number} - Skewed maker implied odds, before ladder rounding
+ */
+export function applyInventorySkew(position, targetOdds, linkedFillAmount) {
+  const inventorySkew = position.inventorySkew ?? MARKET_MAKING.DEFAULT_INVENTORY_SKEW;
+  return targetOdds * (1 + inventorySkew / 100 * calculateInventoryImbalance(position, linkedFillAmount));
+}
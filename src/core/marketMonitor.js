@@ -1,14 +1,16 @@
 // src/core/marketMonitor.js - Monitors market conditions
 import { fetchOrders, groupOrdersByOutcome } from '../api/orderFetcher.js';
 import { subscribeToOrderBook, unsubscribeFromOrderBook } from '../api/websocket.js';
-import { updateMarketData, updateFillStatus, getPosition } from './positionManager.js';
+import { updateMarketData, updateFillStatus, getPosition, findPositionByOrderHash, pauseStalePosition } from './positionManager.js';
 import { logger } from '../utils/logger.js';
 import { toImpliedOdds, calculateTakerImpliedOdds, toNominalAmount } from '../utils/orderUtils.js';
-import { ADDRESSES, WS } from '../config/constants.js';
+import { calculateOrderbookMetrics } from './orderbookMetrics.js';
+import { ADDRESSES, WS, REFERENCE_PRICE, STALE_MARKET } from '../config/constants.js';
 
 // In-memory store of taker orderbooks by market hash
 const orderbooks = new Map();
 const pollingIntervals = new Map();
+let staleCheckInterval = null;
 
 // Track recently cancelled orders for fill detection
 // Map of orderHash -> {positionId, timestamp}
@@ -26,6 +28,19 @@ export async function initializeMarketMonitoring(position) {
   try {
     position.logger.info(`Initializing market monitoring for ${marketHash}`);
     
+    // Join the existing orderbook if another position already monitors this market
+    const existingOrderbook = orderbooks.get(marketHash);
+    if (existingOrderbook) {
+      addPositionToMarket(marketHash, positionId);
+      
+      // The position's own thresholds decide which orders count towards its metrics
+      const metrics = calculateOrderbookMetrics(existingOrderbook, position);
+      await updateMarketData(positionId, buildMarketData(metrics, position));
+      
+      position.logger.info('Joined existing market monitoring');
+      return true;
+    }
+    
     // Fetch current orders snapshot
     let retryCount = 0;
     let ordersSnapshot = [];
@@ -84,28 +99,7 @@ export async function initializeMarketMonitoring(position) {
           // Recalculate metrics
           const orderbook = orderbooks.get(marketHash);
           if (orderbook) {
-            // Get a position to use for threshold settings
-            const positionId = Array.from(orderbook.positions)[0];
-            const positionForMetrics = getPosition(positionId);
-            
-            if (positionForMetrics) {
-              calculateOrderbookMetrics(orderbook, positionForMetrics);
-              
-              // Update all positions associated with this market
-              for (const posId of orderbook.positions) {
-                const pos = getPosition(posId);
-                if (pos) {
-                  await updateMarketData(posId, {
-                    bestTakerOdds: orderbook.metrics.bestTakerOdds[pos.outcomeIndex],
-                    vig: orderbook.metrics.vig,
-                    liquidity: {
-                      outcome1: orderbook.metrics.liquidity[1],
-                      outcome2: orderbook.metrics.liquidity[2]
-                    }
-                  });
-                }
-              }
-            }
+            await updateMarketPositions(orderbook);
           }
         } catch (pollingError) {
           position.logger.error(`Polling error: ${pollingError.message}`, { error: pollingError });
@@ -135,6 +129,8 @@ function updateOrderbookFromSnapshot(marketHash, orders) {
   const orderbook = orderbooks.get(marketHash);
   if (!orderbook) return;
   
+  markOrderbookUpdated(orderbook);
+  
   // Group orders by outcome
   const groupedOrders = groupOrdersByOutcome(orders);
   
@@ -168,20 +164,13 @@ async function initializeOrderbook(marketHash, ordersSnapshot, position) {
     const orderbook = {
       marketHash,
       positions: new Set([position.id]),
+      // Last time the market delivered data, and whether the watchdog has paused its positions
+      lastUpdateAt: Date.now(),
+      isStale: false,
+      isRefreshing: false,
       orders: {
         1: [],
         2: []
-      },
-      metrics: {
-        bestTakerOdds: {
-          1: null,
-          2: null
-        },
-        liquidity: {
-          1: 0,
-          2: 0
-        },
-        vig: null
       }
     };
     
@@ -193,7 +182,7 @@ async function initializeOrderbook(marketHash, ordersSnapshot, position) {
     }
     
     // Calculate initial metrics
-    calculateOrderbookMetrics(orderbook, position);
+    const metrics = calculateOrderbookMetrics(orderbook, position);
     
     // Store the orderbook
     orderbooks.set(marketHash, orderbook);
@@ -204,18 +193,11 @@ async function initializeOrderbook(marketHash, ordersSnapshot, position) {
         outcome1: orderbook.orders[1].length,
         outcome2: orderbook.orders[2].length
       },
-      metrics: orderbook.metrics
+      metrics
     });
     
     // Update position with initial market data
-    await updateMarketData(position.id, {
-      bestTakerOdds: orderbook.metrics.bestTakerOdds[position.outcomeIndex],
-      vig: orderbook.metrics.vig,
-      liquidity: {
-        outcome1: orderbook.metrics.liquidity[1],
-        outcome2: orderbook.metrics.liquidity[2]
-      }
-    });
+    await updateMarketData(position.id, buildMarketData(metrics, position));
   } catch (error) {
     position.logger.error(`Error initializing orderbook: ${error.message}`, { error });
     throw error;
@@ -267,68 +249,6 @@ function processOrders(orders, outcome) {
     });
 }
 
-/**
- * Calculates metrics for an orderbook
- * @param {Object} orderbook - Orderbook object
- * @param {Object} position - Position object for thresholds
- * @returns {void}
- */
-function calculateOrderbookMetrics(orderbook, position) {
-  const { minBetSizeOdds, minBetSizeVig } = position;
-  
-  // Calculate best taker odds for each outcome
-  for (const outcome of [1, 2]) {
-    // For outcome 1, we need maker orders where isMakerBettingOutcomeOne = false (they're betting on outcome 2)
-    // For outcome 2, we need maker orders where isMakerBettingOutcomeOne = true (they're betting on outcome 1)
-    const eligibleOrders = [];
-    
-    for (const order of orderbook.orders[1].concat(orderbook.orders[2])) {
-      // Check if this order is for the right outcome and meets minimum size
-      if ((outcome === 1 && !order.isMakerBettingOutcomeOne) || 
-          (outcome === 2 && order.isMakerBettingOutcomeOne)) {
-        if (order.remainingSize >= minBetSizeOdds) {
-          eligibleOrders.push(order);
-        }
-      }
-    }
-    
-    if (eligibleOrders.length > 0) {
-      // Sort by highest maker implied odds (which gives lowest taker odds)
-      eligibleOrders.sort((a, b) => b.impliedOdds - a.impliedOdds);
-      
-      // Best taker odds come from the highest maker implied odds
-      const bestMakerImpliedOdds = eligibleOrders[0].impliedOdds;
-      orderbook.metrics.bestTakerOdds[outcome] = 1 - bestMakerImpliedOdds;
-      
-      position.logger.debug(`Best taker odds for outcome ${outcome}: ${orderbook.metrics.bestTakerOdds[outcome]} ` +
-                          `(from maker odds: ${bestMakerImpliedOdds})`);
-    } else {
-      orderbook.metrics.bestTakerOdds[outcome] = null;
-      position.logger.debug(`No eligible orders for outcome ${outcome}`);
-    }
-  }
-  
-  // Calculate liquidity for each outcome
-  for (const outcome of [1, 2]) {
-    const totalLiquidity = orderbook.orders[outcome].reduce(
-      (sum, order) => sum + order.remainingSize,
-      0
-    );
-    
-    orderbook.metrics.liquidity[outcome] = totalLiquidity;
-  }
-  
-  // Calculate vig using best taker odds from both outcomes
-  const { bestTakerOdds } = orderbook.metrics;
-  
-  if (bestTakerOdds[1] !== null && bestTakerOdds[2] !== null) {
-    // Vig = (best taker odds 1 + best taker odds 2) - 1
-    orderbook.metrics.vig = (bestTakerOdds[1] + bestTakerOdds[2] - 1) * 100;
-  } else {
-    orderbook.metrics.vig = null;
-  }
-}
-
 // Function to add an order to recently cancelled tracking
 export function trackCancelledOrder(orderHash, positionId) {
   if (!orderHash || !positionId) return;
@@ -341,7 +261,7 @@ export function trackCancelledOrder(orderHash, positionId) {
   // Set up cleanup to remove the tracking after timeout
   setTimeout(() => {
     recentlyCancelledOrders.delete(orderHash);
-  }, RECENT_ORDER_TRACKING_TIME);
+  }, RECENT_ORDER_TRACKING_TIME).unref();
 }
 
 // Periodically clean up expired entries
@@ -352,7 +272,7 @@ setInterval(() => {
       recentlyCancelledOrders.delete(hash);
     }
   }
-}, 60000); // Cleanup every minute
+}, 60000).unref(); // Cleanup every minute, without keeping the process alive on its own
 
 /**
  * Handles WebSocket updates to the orderbook
@@ -369,6 +289,10 @@ export async function handleOrderbookUpdate(marketHash, updates) {
   }
   
   try {
+    // Any message proves the channel is delivering, even one that leaves the book unchanged
+    const wasStale = orderbook.isStale;
+    markOrderbookUpdated(orderbook);
+    
     let orderbookChanged = false;
     
     // Process each update
@@ -405,37 +329,21 @@ export async function handleOrderbookUpdate(marketHash, updates) {
         const hasFill = BigInt(fillAmount || '0') > 0;
         
         if (hasFill) {
-          let foundPosition = false;
+          // Attribute the fill to whichever position posted this order, active or replaced
+          const owner = findPositionByOrderHash(orderHash);
+          let positionId = owner ? owner.id : null;
           
-          // First check all positions for this market
-          for (const positionId of orderbook.positions) {
-            try {
-              const position = getPosition(positionId);
-              if (!position) continue;
-              
-              // Check if this matches the active order
-              if (position.activeOrderHash === orderHash) {
-                logger.info(`Fill detected for active order ${orderHash}, amount: ${fillAmount}`);
-                await updateFillStatus(positionId, fillAmount);
-                foundPosition = true;
-                break;
-              }
-            } catch (error) {
-              logger.error(`Error processing fill for position ${positionId}: ${error.message}`);
-            }
+          // Fall back to recently cancelled orders tracked outside a position's history
+          if (!positionId && recentlyCancelledOrders.has(orderHash)) {
+            positionId = recentlyCancelledOrders.get(orderHash).positionId;
           }
           
-          // If no position found with this active order, check recently cancelled orders
-          if (!foundPosition && recentlyCancelledOrders.has(orderHash)) {
-            const { positionId } = recentlyCancelledOrders.get(orderHash);
+          if (positionId) {
             try {
-              const position = getPosition(positionId);
-              if (position) {
-                logger.info(`Fill detected for recently cancelled order ${orderHash}, amount: ${fillAmount}`);
-                await updateFillStatus(positionId, fillAmount);
-              }
+              logger.info(`Fill detected for order ${orderHash} (position ${positionId}), amount: ${fillAmount}`);
+              await updateFillStatus(positionId, fillAmount, orderHash, toImpliedOdds(percentageOdds));
             } catch (error) {
-              logger.error(`Error processing fill for recently cancelled order: ${error.message}`);
+              logger.error(`Error processing fill for position ${positionId}: ${error.message}`);
             }
           }
         }
@@ -503,37 +411,172 @@ export async function handleOrderbookUpdate(marketHash, updates) {
       }
     }
     
-    // If orderbook changed, recalculate metrics and update positions
-    if (orderbookChanged) {
-      // Get a position to use for threshold settings
-      const positionId = Array.from(orderbook.positions)[0];
-      const position = getPosition(positionId);
-      
-      if (position) {
-        // Recalculate metrics
-        calculateOrderbookMetrics(orderbook, position);
-        
-        // Update all positions associated with this market
-        for (const posId of orderbook.positions) {
-          const pos = getPosition(posId);
-          if (pos) {
-            await updateMarketData(posId, {
-              bestTakerOdds: orderbook.metrics.bestTakerOdds[pos.outcomeIndex],
-              vig: orderbook.metrics.vig,
-              liquidity: {
-                outcome1: orderbook.metrics.liquidity[1],
-                outcome2: orderbook.metrics.liquidity[2]
-              }
-            });
-          }
-        }
-      }
+    // If orderbook changed, recalculate metrics and update positions (stale-paused positions resume on any fresh data)
+    if (orderbookChanged || wasStale) {
+      await updateMarketPositions(orderbook);
     }
   } catch (error) {
     logger.error(`Error handling orderbook update: ${error.message}`, { error });
   }
 }
 
+/**
+ * Recalculates an orderbook's metrics for every position on the market and passes each its market data
+ * @param {Object} orderbook - Orderbook object
+ * @returns {Promise<void>}
+ */
+async function updateMarketPositions(orderbook) {
+  // Positions with the same thresholds see the same metrics, so each distinct set is only calculated once
+  const metricsBySettings = new Map();
+  
+  // Update all positions associated with this market
+  for (const posId of Array.from(orderbook.positions)) {
+    const pos = getPosition(posId);
+    if (!pos) {
+      continue;
+    }
+    
+    const settingsKey = getMetricsSettingsKey(pos);
+    if (!metricsBySettings.has(settingsKey)) {
+      metricsBySettings.set(settingsKey, calculateOrderbookMetrics(orderbook, pos));
+    }
+    
+    await updateMarketData(posId, buildMarketData(metricsBySettings.get(settingsKey), pos));
+  }
+}
+
+/**
+ * Gets a key identifying the position settings that orderbook metrics depend on
+ * @param {Object} position - Position object
+ * @returns {string} - Settings key
+ */
+function getMetricsSettingsKey(position) {
+  return [
+    position.minBetSizeOdds,
+    position.minBetSizeVig,
+    position.referencePriceMode,
+    position.referenceDepthSize ?? REFERENCE_PRICE.DEFAULT_DEPTH_SIZE
+  ].join('|');
+}
+
+/**
+ * Records that a market delivered data, clearing any staleness
+ * @param {Object} orderbook - Orderbook object
+ * @returns {void}
+ */
+function markOrderbookUpdated(orderbook) {
+  orderbook.lastUpdateAt = Date.now();
+  
+  if (orderbook.isStale) {
+    orderbook.isStale = false;
+    logger.info(`Fresh data received for stale market ${orderbook.marketHash}`);
+  }
+}
+
+/**
+ * Refreshes a market that has gone quiet with a REST snapshot. If the snapshot can't be
+ * fetched either, the market's positions are paused and their orders cancelled.
+ * @param {Object} orderbook - Orderbook object
+ * @returns {Promise<void>}
+ */
+async function refreshStaleMarket(orderbook) {
+  const { marketHash } = orderbook;
+  const silenceSeconds = Math.round((Date.now() - orderbook.lastUpdateAt) / 1000);
+  
+  if (!orderbook.isStale) {
+    logger.warn(`No orderbook updates for market ${marketHash} in ${silenceSeconds}s, refreshing snapshot over REST`);
+  }
+  
+  orderbook.isRefreshing = true;
+  
+  try {
+    const latestOrders = await fetchOrders(marketHash);
+    
+    // Every position may have left the market while the snapshot was fetched
+    if (orderbooks.get(marketHash) !== orderbook) {
+      return;
+    }
+    
+    updateOrderbookFromSnapshot(marketHash, latestOrders);
+    await updateMarketPositions(orderbook);
+  } catch (error) {
+    if (orderbooks.get(marketHash) !== orderbook) {
+      return;
+    }
+    
+    const reason = `No orderbook data for ${silenceSeconds}s and REST refresh failed: ${error.message}`;
+    
+    if (!orderbook.isStale) {
+      orderbook.isStale = true;
+      logger.error(`Market ${marketHash} is stale, pausing its positions: ${reason}`, { error });
+    }
+    
+    for (const positionId of Array.from(orderbook.positions)) {
+      await pauseStalePosition(positionId, reason);
+    }
+  } finally {
+    orderbook.isRefreshing = false;
+  }
+}
+
+/**
+ * Gets when any monitored market last delivered orderbook data, over the websocket, polling or a REST refresh
+ * @returns {number|null} - Timestamp in milliseconds, or null if no market is monitored
+ */
+export function getLastMarketDataTime() {
+  const updateTimes = Array.from(orderbooks.values()).map(orderbook => orderbook.lastUpdateAt);
+  return updateTimes.length > 0 ? Math.max(...updateTimes) : null;
+}
+
+/**
+ * Refreshes every market whose last update is older than the staleness period
+ * @returns {Promise<void>}
+ */
+export async function checkStaleMarkets() {
+  const now = Date.now();
+  
+  for (const orderbook of Array.from(orderbooks.values())) {
+    if (orderbook.isRefreshing || now - orderbook.lastUpdateAt < STALE_MARKET.MAX_UPDATE_AGE_MS) {
+      continue;
+    }
+    
+    try {
+      await refreshStaleMarket(orderbook);
+    } catch (error) {
+      logger.error(`Error refreshing stale market ${orderbook.marketHash}: ${error.message}`, { error });
+    }
+  }
+}
+
+/**
+ * Starts the stale market watchdog
+ * @returns {void}
+ */
+export function startStaleMarketWatchdog() {
+  if (staleCheckInterval) {
+    return;
+  }
+  
+  logger.info(`Starting stale market checks every ${STALE_MARKET.CHECK_INTERVAL}ms`);
+  staleCheckInterval = setInterval(() => {
+    checkStaleMarkets().catch(error => {
+      logger.error(`Error checking stale markets: ${error.message}`, { error });
+    });
+  }, STALE_MARKET.CHECK_INTERVAL);
+}
+
+/**
+ * Stops the stale market watchdog
+ * @returns {void}
+ */
+export function stopStaleMarketWatchdog() {
+  if (staleCheckInterval) {
+    clearInterval(staleCheckInterval);
+    staleCheckInterval = null;
+    logger.info('Stopped stale market checks');
+  }
+}
+
 /**
  * Adds a position to be monitored for a market
  * @param {string} marketHash - Market hash
@@ -575,4 +618,46 @@ export function removePositionFromMarket(marketHash, positionId) {
       logger.info(`Removed orderbook for market ${marketHash}`);
     }
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Stops monitoring a market for a position, unsubscribing once no positions remain on it
+ * @param {string} marketHash - Market hash
+ * @param {string} positionId - Position ID
+ * @returns {Promise<void>}
+ */
+export async function stopMarketMonitoring(marketHash, positionId) {
+  removePositionFromMarket(marketHash, positionId);
+  
+  // removePositionFromMarket drops the orderbook once its last position leaves
+  if (!orderbooks.has(marketHash)) {
+    await unsubscribeFromOrderBook(marketHash);
+  }
+}
+
+/**
+ * Builds the market data passed to a position from orderbook metrics calculated for it
+ * @param {Object} metrics - Orderbook metrics from calculateOrderbookMetrics
+ * @param {Object} position - Position object
+ * @returns {Object} - Market data for updateMarketData
+ */
+function buildMarketData(metrics, position) {
+  return {
+    bestTakerOdds: metrics.bestTakerOdds[position.outcomeIndex],
+    vig: metrics.vig,
+    liquidity: {
+      outcome1: metrics.liquidity[1],
+      outcome2: metrics.liquidity[2]
+    },
+    // Snapshot the metrics so positions with the same settings each get their own copy
+    metrics: {
+      bestTakerOdds: { ...metrics.bestTakerOdds },
+      topOfBookTakerOdds: { ...metrics.topOfBookTakerOdds },
+      bestMakerOdds: { ...metrics.bestMakerOdds },
+      depthWeightedTakerOdds: { ...metrics.depthWeightedTakerOdds },
+      liquidity: { ...metrics.liquidity },
+      vig: metrics.vig,
+      fairOdds: metrics.fairOdds
+    }
+  };
+}
@@ -0,0 +1,67 @@
+// src/core/metadataMonitor.js - Keeps exchange settings such as the odds ladder interval up to date
+import { fetchMetadata } from '../api/metadataFetcher.js';
+import { getLadderStepSize, setLadderStepSize } from '../utils/oddsUtils.js';
+import { logger } from '../utils/logger.js';
+import { METADATA } from '../config/constants.js';
+
+let pollingInterval = null;
+let isSyncing = false;
+
+/**
+ * Fetches the exchange metadata and applies its odds ladder interval
+ * @returns {Promise<number>} - Ladder step in use afterwards, in basis points
+ */
+export async function syncMetadata() {
+  if (isSyncing) {
+    return getLadderStepSize();
+  }
+
+  isSyncing = true;
+
+  try {
+    const metadata = await fetchMetadata();
+    const previousStep = getLadderStepSize();
+
+    if (!setLadderStepSize(metadata.oddsLadderStepSize)) {
+      logger.warn(`Ignoring invalid odds ladder step from metadata: ${metadata.oddsLadderStepSize}`);
+    } else if (getLadderStepSize() !== previousStep) {
+      logger.info(`Odds ladder step changed from ${previousStep / 100}% to ${getLadderStepSize() / 100}%`);
+    }
+  } catch (error) {
+    // Keep the last known step; orders are rounded to it until the next successful sync
+    logger.error(`Error syncing metadata: ${error.message}`, { error });
+  } finally {
+    isSyncing = false;
+  }
+
+  return getLadderStepSize();
+}
+
+/**
+ * Starts periodic metadata refreshes, resolving once the first sync has finished
+ * so orders posted at startup already use the live odds ladder
+ * @returns {Promise<void>}
+ */
+export async function startMetadataMonitoring() {
+  if (pollingInterval) {
+    return;
+  }
+
+  logger.info(`Starting metadata sync every ${METADATA.POLL_INTERVAL}ms`);
+
+  pollingInterval = setInterval(syncMetadata, METADATA.POLL_INTERVAL);
+  const stepSize = await syncMetadata();
+  logger.info(`Using odds ladder step of ${stepSize / 100}%`);
+}
+
+/**
+ * Stops periodic metadata refreshes
+ * @returns {void}
+ */
+export function stopMetadataMonitoring() {
+  if (pollingInterval) {
+    clearInterval(pollingInterval);
+    pollingInterval = null;
+    logger.info('Stopped metadata sync');
+  }
+}
@@ -2,7 +2,9 @@
 import { postOrder } from '../api/orderPoster.js';
 import { cancelOrders as apiCancelOrders } from '../api/orderCanceller.js';
 import { logger } from '../utils/logger.js';
-import { roundToNearestStep, checkOddsLadderValid } from '../utils/oddsUtils.js';
+import { roundToStep, checkOddsLadderValid, getLadderStepSize } from '../utils/oddsUtils.js';
+import { reserveOrderExposure, releaseOrderExposure } from './riskManager.js';
+import { isCircuitBreakerTripped, recordOrderError, recordOrderSuccess } from './circuitBreaker.js';
 import { ORDER } from '../config/constants.js';
 import { ethers } from 'ethers';
 
@@ -13,23 +15,69 @@ import { ethers } from 'ethers';
  * @param {boolean} orderParams.isMakerBettingOutcomeOne - True if betting on outcome one
  * @param {number} orderParams.betSizeUSDC - Bet size in USDC
  * @param {number} orderParams.impliedOdds - Implied odds (0-1)
- * @returns {Promise<Object>} - Order result with orderHash
+ * @param {string} [orderParams.roundingMode] - How to round odds that aren't on the ladder
+ * @param {string} [orderParams.positionId] - Posting position, whose portfolio exposure limits apply
+ * @returns {Promise<Object>} - Order result with orderHash and the posted betSizeUSDC; orderHash is null,
+ *   status 'blocked' and blockedBy set if the circuit breaker or an exposure limit stopped the order
  */
 export async function postMakerOrder(orderParams) {
   const { marketHash, isMakerBettingOutcomeOne, betSizeUSDC, impliedOdds } = orderParams;
   
-  // Validate odds are on the ladder
+  // Nothing is posted while the kill switch is tripped
+  if (isCircuitBreakerTripped()) {
+    logger.warn('Order blocked, circuit breaker is tripped', { marketHash, betSizeUSDC });
+    return { orderHash: null, status: 'blocked', betSizeUSDC: 0, blockedBy: 'CIRCUIT_BREAKER' };
+  }
+  
+  // Validate odds are on the exchange's current ladder
   if (!checkOddsLadderValid(ethers.parseUnits(impliedOdds.toString(), 20))) {
-    // Round to the nearest step if not valid
-    const roundedOdds = roundToNearestStep(impliedOdds);
-    logger.warn(`Odds ${impliedOdds} not on ladder, rounding to ${roundedOdds}`);
+    // Round onto the ladder if not valid, by default never in the taker's favour
+    const roundedOdds = roundToStep(impliedOdds, orderParams.roundingMode);
+    logger.warn(`Odds ${impliedOdds} not on ladder (step ${getLadderStepSize() / 100}%), rounding to ${roundedOdds}`);
     orderParams.impliedOdds = roundedOdds;
   }
   
+  // Portfolio exposure limits can shrink the order to the headroom left, or block it outright
+  const reservation = orderParams.positionId
+    ? reserveOrderExposure(orderParams.positionId, betSizeUSDC)
+    : { betSizeUSDC, limit: null, reservationId: null };
+  
+  if (reservation.limit) {
+    const { label, name, exposure, limit } = reservation.limit;
+    
+    if (reservation.betSizeUSDC <= 0) {
+      logger.warn(`Order blocked by the ${label.toLowerCase()} exposure limit for ${name}`, { marketHash, betSizeUSDC, exposure, limit });
+      return { orderHash: null, status: 'blocked', betSizeUSDC: 0, blockedBy: 'EXPOSURE_LIMIT', limit: reservation.limit };
+    }
+    
+    logger.warn(`Order shrunk from ${betSizeUSDC} to ${reservation.betSizeUSDC} USDC by the ${label.toLowerCase()} exposure limit for ${name}`, { marketHash, exposure, limit });
+    orderParams.betSizeUSDC = reservation.betSizeUSDC;
+  }
+  
+  try {
+    return await postOrderWithRetry(orderParams);
+  } finally {
+    releaseOrderExposure(reservation.reservationId);
+  }
+}
+
+/**
+ * Posts an order to the exchange, retrying with exponential backoff
+ * @param {Object} orderParams - Order parameters, as for postMakerOrder
+ * @returns {Promise<Object>} - Order result with orderHash
+ */
+async function postOrderWithRetry(orderParams) {
+  const { marketHash, isMakerBettingOutcomeOne, betSizeUSDC } = orderParams;
   let retryCount = 0;
   let lastError = null;
   
   while (retryCount < ORDER.MAX_RETRY_COUNT) {
+    // The breaker may trip between retries
+    if (retryCount > 0 && isCircuitBreakerTripped()) {
+      logger.warn('Circuit breaker tripped, abandoning order retries', { marketHash });
+      return { orderHash: null, status: 'blocked', betSizeUSDC: 0, blockedBy: 'CIRCUIT_BREAKER' };
+    }
+    
     try {
       logger.info('Posting order', { 
         marketHash, 
@@ -52,11 +100,13 @@ export async function postMakerOrder(orderParams) {
       const orderHash = result.data.orders[0];
       
       logger.info('Order posted successfully', { orderHash });
+      recordOrderSuccess('post');
       
-      return { orderHash, status: 'success' };
+      return { orderHash, status: 'success', betSizeUSDC };
     } catch (error) {
       lastError = error;
       logger.error(`Error posting order (attempt ${retryCount + 1}/${ORDER.MAX_RETRY_COUNT}): ${error.message}`, { error });
+      recordOrderError('post', error);
       
       // Exponential backoff for retries
       const delay = ORDER.RETRY_DELAY_MS * Math.pow(ORDER.BACKOFF_FACTOR, retryCount);
@@ -120,10 +170,12 @@ export async function cancelOrders(orderHashes) {
         });
       }
       
+      recordOrderSuccess('cancel');
       return { cancelledCount };
     } catch (error) {
       lastError = error;
       logger.error(`Error cancelling orders (attempt ${retryCount + 1}/${ORDER.MAX_RETRY_COUNT}): ${error.message}`, { error });
+      recordOrderError('cancel', error);
       
       // Exponential backoff for retries
       const delay = ORDER.RETRY_DELAY_MS * Math.pow(ORDER.BACKOFF_FACTOR, retryCount);
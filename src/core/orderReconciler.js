@@ -0,0 +1,216 @@
+// src/core/orderReconciler.js - Reconciles live exchange orders against local positions
+import { fetchMakerOrders } from '../api/orderFetcher.js';
+import { getAllPositions, adoptOrder, releaseActiveOrder, TRADING_STATUSES } from './positionManager.js';
+import { cancelOrders } from './orderManager.js';
+import { trackCancelledOrder } from './marketMonitor.js';
+import { logger } from '../utils/logger.js';
+import { toImpliedOdds, toNominalAmount } from '../utils/orderUtils.js';
+import { getLadderStepSize } from '../utils/oddsUtils.js';
+import { ADDRESSES } from '../config/constants.js';
+
+/**
+ * Converts a raw API order into the summary shape used by reconciliation
+ * @param {Object} order - Raw order from the API
+ * @returns {Object} - Order summary
+ */
+function toOrderSummary(order) {
+  return {
+    orderHash: order.orderHash,
+    marketHash: order.marketHash,
+    outcomeIndex: order.isMakerBettingOutcomeOne ? 1 : 2,
+    impliedOdds: toImpliedOdds(order.percentageOdds),
+    totalSize: toNominalAmount(order.totalBetSize),
+    remainingSize: toNominalAmount(
+      (BigInt(order.totalBetSize) - BigInt(order.fillAmount || '0')).toString()
+    )
+  };
+}
+
+/**
+ * Gets the odds difference below which two prices are considered the same (half a ladder step)
+ * @returns {number} - Tolerance in implied odds
+ */
+function getOddsMatchTolerance() {
+  return getLadderStepSize() / 20000;
+}
+
+/**
+ * Checks whether a live order matches a position's ladder level by market, outcome and odds
+ * @param {Object} order - Order summary
+ * @param {Object} position - Position object
+ * @param {Object} level - Ladder level
+ * @returns {boolean} - True if the order matches the level
+ */
+function orderMatchesLevel(order, position, level) {
+  return order.marketHash === position.marketHash &&
+         order.outcomeIndex === position.outcomeIndex &&
+         level.lastPostedOdds !== null &&
+         level.lastPostedOdds !== undefined &&
+         Math.abs(order.impliedOdds - level.lastPostedOdds) < getOddsMatchTolerance();
+}
+
+/**
+ * Reconciles the maker's live exchange orders against the restored positions.
+ * Orders already tracked are confirmed, untracked orders matching a position are adopted,
+ * tracked orders no longer on the exchange are released, and everything else is an orphan.
+ * Live orders of positions paused by the circuit breaker are cancelled rather than kept, since
+ * those positions must stay out of the market until the breaker is acknowledged, and so are matching
+ * orders too large for the level they would be adopted by. Positions that are no longer trading adopt nothing.
+ * Matching is done per ladder level, since each level posts its own order.
+ * @returns {Promise<Object>} - Reconciliation summary
+ */
+export async function reconcileExchangeOrders() {
+  const summary = {
+    liveOrderCount: 0,
+    confirmed: [],
+    adopted: [],
+    released: [],
+    cancelled: [],
+    orphans: [],
+    error: null
+  };
+
+  let liveOrders;
+  try {
+    liveOrders = (await fetchMakerOrders(ADDRESSES.MAKER)).map(toOrderSummary);
+  } catch (error) {
+    logger.error(`Order reconciliation failed: ${error.message}`, { error });
+    summary.error = error.message;
+    return summary;
+  }
+
+  summary.liveOrderCount = liveOrders.length;
+
+  const liveByHash = new Map(liveOrders.map(order => [order.orderHash, order]));
+  const claimedHashes = new Set();
+  const positions = getAllPositions();
+  const levelsNeedingOrder = [];
+
+  // Pass 1: confirm or release the orders position levels already believe are active
+  for (const position of positions) {
+    for (const [levelIndex, level] of position.levels.entries()) {
+      const orderHash = level.activeOrderHash;
+
+      if (!orderHash) {
+        levelsNeedingOrder.push({ position, levelIndex });
+        continue;
+      }
+
+      if (liveByHash.has(orderHash) && position.status === 'CIRCUIT_PAUSED') {
+        claimedHashes.add(orderHash);
+        summary.cancelled.push({ positionId: position.id, levelIndex, order: liveByHash.get(orderHash), isTracked: true, reason: 'CIRCUIT_PAUSED' });
+        continue;
+      }
+
+      if (liveByHash.has(orderHash)) {
+        claimedHashes.add(orderHash);
+        summary.confirmed.push({ positionId: position.id, levelIndex, order: liveByHash.get(orderHash) });
+        continue;
+      }
+
+      summary.released.push({ positionId: position.id, levelIndex, orderHash });
+      await releaseActiveOrder(position.id, orderHash);
+      levelsNeedingOrder.push({ position, levelIndex });
+    }
+  }
+
+  // Pass 2: adopt unclaimed live orders for levels that have no active order
+  for (const { position, levelIndex } of levelsNeedingOrder) {
+    if (position.status !== 'CIRCUIT_PAUSED' && !TRADING_STATUSES.includes(position.status)) {
+      continue;
+    }
+
+    const match = liveOrders.find(order =>
+      !claimedHashes.has(order.orderHash) && orderMatchesLevel(order, position, position.levels[levelIndex])
+    );
+
+    if (match && position.status === 'CIRCUIT_PAUSED') {
+      claimedHashes.add(match.orderHash);
+      summary.cancelled.push({ positionId: position.id, levelIndex, order: match, isTracked: false, reason: 'CIRCUIT_PAUSED' });
+      continue;
+    }
+
+    if (!match) {
+      continue;
+    }
+
+    claimedHashes.add(match.orderHash);
+
+    if (await adoptOrder(position.id, match, levelIndex)) {
+      summary.adopted.push({ positionId: position.id, levelIndex, order: match });
+    } else {
+      summary.cancelled.push({ positionId: position.id, levelIndex, order: match, isTracked: false, reason: 'OVERSIZED' });
+    }
+  }
+
+  await cancelMatchedOrders(summary, claimedHashes);
+
+  // Anything left over belongs to no position
+  summary.orphans = liveOrders.filter(order => !claimedHashes.has(order.orderHash));
+
+  logger.info('Order reconciliation complete', {
+    liveOrderCount: summary.liveOrderCount,
+    confirmed: summary.confirmed.length,
+    adopted: summary.adopted.length,
+    released: summary.released.length,
+    cancelled: summary.cancelled.length,
+    orphans: summary.orphans.length
+  });
+
+  return summary;
+}
+
+/**
+ * Cancels the live orders reconciliation matched to a position but must not leave live (those of positions
+ * paused by the circuit breaker, and oversized ones), releasing any a position still tracks. If the cancel
+ * fails, untracked orders are left to show up as orphans and tracked ones stay on their levels, to be
+ * replaced once the breaker is acknowledged.
+ * @param {Object} summary - Reconciliation summary, whose cancelled list is emptied if the cancel fails
+ * @param {Set<string>} claimedHashes - Hashes of live orders matched to a position
+ * @returns {Promise<void>}
+ */
+async function cancelMatchedOrders(summary, claimedHashes) {
+  if (summary.cancelled.length === 0) {
+    return;
+  }
+
+  const orderHashes = summary.cancelled.map(({ order }) => order.orderHash);
+  logger.warn(`Cancelling ${orderHashes.length} live orders matched to paused positions or too large for their level`, { orderHashes });
+
+  try {
+    // Fills racing the cancel are still attributed to the position
+    for (const { positionId, order } of summary.cancelled) {
+      trackCancelledOrder(order.orderHash, positionId);
+    }
+
+    await cancelOrders(orderHashes);
+
+    for (const { positionId, order, isTracked } of summary.cancelled) {
+      if (isTracked) {
+        await releaseActiveOrder(positionId, order.orderHash);
+      }
+    }
+  } catch (error) {
+    logger.error(`Could not cancel live orders matched to positions: ${error.message}`, { error });
+
+    for (const { order, isTracked } of summary.cancelled) {
+      if (!isTracked) {
+        claimedHashes.delete(order.orderHash);
+      }
+    }
+
+    summary.cancelled = [];
+  }
+}
+
+/**
+ * Cancels orphaned orders found during reconciliation
+ * @param {Array<Object>} orphans - Orphan order summaries
+ * @returns {Promise<Object>} - Cancellation result
+ */
+export async function cancelOrphanOrders(orphans) {
+  const orderHashes = orphans.map(order => order.orderHash);
+
+  logger.info(`Cancelling ${orderHashes.length} orphaned orders`, { orderHashes });
+  return await cancelOrders(orderHashes);
+}
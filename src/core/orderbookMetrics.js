@@ -0,0 +1,172 @@
+// src/core/orderbookMetrics.js - Reference prices, vig, liquidity and fair odds calculated from a market's orderbook
+import { calculateRemainingTakerSpace } from '../utils/orderUtils.js';
+import { devigOdds, DEVIG_METHODS } from '../utils/devigUtils.js';
+import { REFERENCE_PRICE } from '../config/constants.js';
+
+/**
+ * Calculates an orderbook's metrics as a position sees them: its min bet sizes decide which
+ * orders count, and its reference price settings decide the best taker odds it prices off
+ * @param {Object} orderbook - Orderbook object
+ * @param {Object} position - Position object for thresholds
+ * @returns {Object} - Orderbook metrics
+ */
+export function calculateOrderbookMetrics(orderbook, position) {
+  const { minBetSizeOdds, minBetSizeVig } = position;
+  
+  const metrics = {
+    bestTakerOdds: {
+      1: null,
+      2: null
+    },
+    topOfBookTakerOdds: {
+      1: null,
+      2: null
+    },
+    bestMakerOdds: {
+      1: null,
+      2: null
+    },
+    depthWeightedTakerOdds: {
+      1: null,
+      2: null
+    },
+    liquidity: {
+      1: 0,
+      2: 0
+    },
+    vig: null,
+    fairOdds: null
+  };
+  
+  // Calculate best taker odds for each outcome
+  for (const outcome of [1, 2]) {
+    metrics.topOfBookTakerOdds[outcome] = getTopOfBookTakerOdds(orderbook, outcome, minBetSizeOdds);
+    
+    if (metrics.topOfBookTakerOdds[outcome] !== null) {
+      position.logger.debug(`Best taker odds for outcome ${outcome}: ${metrics.topOfBookTakerOdds[outcome]} ` +
+                          `(from maker odds: ${1 - metrics.topOfBookTakerOdds[outcome]})`);
+    } else {
+      position.logger.debug(`No eligible orders for outcome ${outcome}`);
+    }
+    
+    metrics.depthWeightedTakerOdds[outcome] = calculateDepthWeightedTakerOdds(
+      orderbook,
+      outcome,
+      position.referenceDepthSize ?? REFERENCE_PRICE.DEFAULT_DEPTH_SIZE
+    );
+    
+    // The reference price used for pricing is top of book unless the position asks for depth weighting
+    const useDepthWeighted = position.referencePriceMode === 'DEPTH_WEIGHTED' &&
+      metrics.depthWeightedTakerOdds[outcome] !== null;
+    metrics.bestTakerOdds[outcome] = useDepthWeighted
+      ? metrics.depthWeightedTakerOdds[outcome]
+      : metrics.topOfBookTakerOdds[outcome];
+  }
+  
+  // Best competing maker odds on each outcome (our own orders are never in the book)
+  for (const outcome of [1, 2]) {
+    const competingOdds = orderbook.orders[outcome]
+      .filter(order => order.remainingSize >= minBetSizeOdds)
+      .map(order => order.impliedOdds);
+    
+    metrics.bestMakerOdds[outcome] = competingOdds.length > 0 ? Math.max(...competingOdds) : null;
+  }
+  
+  // Calculate liquidity for each outcome
+  for (const outcome of [1, 2]) {
+    const totalLiquidity = orderbook.orders[outcome].reduce(
+      (sum, order) => sum + order.remainingSize,
+      0
+    );
+    
+    metrics.liquidity[outcome] = totalLiquidity;
+  }
+  
+  // Calculate vig from the top-of-book taker odds on both outcomes, counting only orders of at least the min bet size for vig
+  const vigTakerOdds = {
+    1: getTopOfBookTakerOdds(orderbook, 1, minBetSizeVig),
+    2: getTopOfBookTakerOdds(orderbook, 2, minBetSizeVig)
+  };
+  
+  if (vigTakerOdds[1] !== null && vigTakerOdds[2] !== null) {
+    // Vig = (best taker odds 1 + best taker odds 2) - 1
+    metrics.vig = (vigTakerOdds[1] + vigTakerOdds[2] - 1) * 100;
+  }
+  
+  // Calculate no-vig fair odds for each outcome with every devig method
+  const { bestTakerOdds } = metrics;
+  
+  if (bestTakerOdds[1] !== null && bestTakerOdds[2] !== null) {
+    metrics.fairOdds = {};
+    
+    for (const method of Object.values(DEVIG_METHODS)) {
+      const fairOdds = devigOdds([bestTakerOdds[1], bestTakerOdds[2]], method);
+      metrics.fairOdds[method] = fairOdds ? { 1: fairOdds[0], 2: fairOdds[1] } : null;
+    }
+  }
+  
+  return metrics;
+}
+
+/**
+ * Gets the best taker odds on an outcome from the maker orders of at least a minimum size
+ * @param {Object} orderbook - Orderbook object
+ * @param {number} outcome - Outcome the taker bets on (1 or 2)
+ * @param {number} minSize - Minimum remaining maker order size in USDC
+ * @returns {number|null} - Taker implied odds, or null if no order is large enough
+ */
+export function getTopOfBookTakerOdds(orderbook, outcome, minSize) {
+  // For outcome 1, we need maker orders where isMakerBettingOutcomeOne = false (they're betting on outcome 2)
+  // For outcome 2, we need maker orders where isMakerBettingOutcomeOne = true (they're betting on outcome 1)
+  const eligibleOrders = orderbook.orders[1].concat(orderbook.orders[2]).filter(order =>
+    ((outcome === 1 && !order.isMakerBettingOutcomeOne) || (outcome === 2 && order.isMakerBettingOutcomeOne)) &&
+    order.remainingSize >= minSize
+  );
+  
+  if (eligibleOrders.length === 0) {
+    return null;
+  }
+  
+  // Best taker odds come from the highest maker implied odds
+  const bestMakerImpliedOdds = Math.max(...eligibleOrders.map(order => order.impliedOdds));
+  return 1 - bestMakerImpliedOdds;
+}
+
+/**
+ * Calculates the volume-weighted taker odds for filling a target stake on an outcome,
+ * walking the opposing maker orders from the best price down. Every order counts, however small,
+ * so a single small order can't move the reference on its own.
+ * @param {Object} orderbook - Orderbook object
+ * @param {number} outcome - Outcome the taker bets on (1 or 2)
+ * @param {number} targetSize - Taker stake in USDC to fill
+ * @returns {number|null} - Taker implied odds, or null if there are no opposing orders
+ */
+export function calculateDepthWeightedTakerOdds(orderbook, outcome, targetSize) {
+  // Takers on outcome 1 fill makers betting on outcome 2, and vice versa
+  const opposingOrders = [...orderbook.orders[outcome === 1 ? 2 : 1]]
+    .sort((a, b) => b.impliedOdds - a.impliedOdds);
+  
+  let totalStake = 0;
+  let totalPayout = 0;
+  
+  for (const order of opposingOrders) {
+    const remainingTarget = targetSize - totalStake;
+    if (remainingTarget <= 0) {
+      break;
+    }
+    
+    const takerOdds = 1 - order.impliedOdds;
+    const takerSpace = calculateRemainingTakerSpace(order.totalBetSize, order.fillAmount, order.percentageOdds);
+    const stake = Math.min(takerSpace, remainingTarget);
+    
+    if (stake <= 0 || takerOdds <= 0) {
+      continue;
+    }
+    
+    totalStake += stake;
+    totalPayout += stake / takerOdds;
+  }
+  
+  // With less depth than the target, the price is what the whole book would cost
+  return totalPayout > 0 ? totalStake / totalPayout : null;
+}
@@ -0,0 +1,34 @@
+// src/core/pennyJump.js - Penny-jumping competing makers at the top of the book
+import { roundToStep, getLadderStepSize, ROUNDING_MODES } from '../utils/oddsUtils.js';
+import { ODDS } from '../config/constants.js';
+
+/**
+ * Improves on a competing maker sitting at or better than our target by one ladder tick,
+ * never beyond the position's worst acceptable odds. If a full tick would cross that limit,
+ * the target stays at the strategy's price instead of matching the competitor at the limit.
+ * Once the competitor leaves, the target falls back to the strategy's price.
+ * @param {Object} position - Position object
+ * @param {number} targetOdds - Ladder-rounded target odds from the strategy
+ * @returns {number} - Odds to quote
+ */
+export function applyPennyJump(position, targetOdds) {
+  const competitorOdds = position.marketMetrics?.bestMakerOdds?.[position.outcomeIndex];
+  
+  if (!position.pennyJump || !position.pennyJumpMaxOdds || competitorOdds === null || competitorOdds === undefined) {
+    return targetOdds;
+  }
+  
+  // A worse competitor already leaves us at the front of the queue
+  if (competitorOdds < targetOdds - ODDS.EPSILON) {
+    return targetOdds;
+  }
+  
+  const jumpOdds = roundToStep(competitorOdds + getLadderStepSize() / 10000, ROUNDING_MODES.NEAREST);
+  const limitOdds = roundToStep(position.pennyJumpMaxOdds, ROUNDING_MODES.MAKER_FAVOURABLE);
+  
+  if (jumpOdds > limitOdds + ODDS.EPSILON) {
+    return targetOdds;
+  }
+  
+  return Math.max(targetOdds, jumpOdds);
+}
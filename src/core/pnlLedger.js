@@ -0,0 +1,106 @@
+// src/core/pnlLedger.js - Fill ledger and profit & loss calculations for positions
+
+/**
+ * Records a fill in a position's ledger
+ * @param {Object} position - Position object
+ * @param {Object} fill - Fill details
+ * @param {string} fill.orderHash - Hash of the filled order
+ * @param {number} fill.stake - Newly filled maker stake in USDC
+ * @param {number} fill.impliedOdds - Maker implied odds the fill was matched at (0-1)
+ * @returns {Object} - The ledger entry
+ */
+export function recordFill(position, { orderHash, stake, impliedOdds }) {
+  const entry = {
+    orderHash,
+    stake,
+    impliedOdds,
+    payout: impliedOdds > 0 ? stake / impliedOdds : 0,
+    recordedAt: new Date().toISOString()
+  };
+
+  if (!position.ledger) {
+    position.ledger = [];
+  }
+
+  position.ledger.push(entry);
+  return entry;
+}
+
+/**
+ * Calculates profit & loss figures for a position from its ledger
+ *
+ * Backing an outcome with stake S at maker implied odds p pays out S / p if it wins
+ * (our stake plus the taker's S * (1 - p) / p) and loses S otherwise.
+ * Unrealized P&L marks the book to the current best taker odds on our outcome.
+ * @param {Object} position - Position object
+ * @returns {Object} - P&L figures in USDC
+ */
+export function calculatePositionPnl(position) {
+  const ledger = position.ledger || [];
+
+  const totalStake = ledger.reduce((sum, entry) => sum + entry.stake, 0);
+  const potentialPayout = ledger.reduce((sum, entry) => sum + entry.payout, 0);
+  const potentialProfit = potentialPayout - totalStake;
+
+  const pnl = {
+    fillCount: ledger.length,
+    totalStake,
+    potentialPayout,
+    potentialProfit,
+    liability: totalStake,
+    averageImpliedOdds: potentialPayout > 0 ? totalStake / potentialPayout : null,
+    unrealizedPnl: null,
+    realizedPnl: null
+  };
+
+  if (totalStake === 0) {
+    return pnl;
+  }
+
+  const settlement = position.settlement;
+
+  if (settlement && settlement.outcome !== undefined && settlement.outcome !== null) {
+    if (settlement.outcome === 0) {
+      // Voided market: stakes are returned
+      pnl.realizedPnl = 0;
+    } else if (settlement.outcome === position.outcomeIndex) {
+      pnl.realizedPnl = potentialProfit;
+    } else {
+      pnl.realizedPnl = -totalStake;
+    }
+  } else if (position.bestTakerOdds) {
+    pnl.unrealizedPnl = potentialPayout * position.bestTakerOdds - totalStake;
+  }
+
+  return pnl;
+}
+
+/**
+ * Summarises P&L across positions
+ * @param {Array<Object>} positions - Array of positions
+ * @returns {Object} - Aggregated P&L figures in USDC
+ */
+export function summarisePnl(positions) {
+  const summary = {
+    positionCount: positions.length,
+    totalStake: 0,
+    potentialPayout: 0,
+    potentialProfit: 0,
+    liability: 0,
+    unrealizedPnl: 0,
+    realizedPnl: 0
+  };
+
+  for (const position of positions) {
+    const pnl = calculatePositionPnl(position);
+
+    summary.totalStake += pnl.totalStake;
+    summary.potentialPayout += pnl.potentialPayout;
+    summary.potentialProfit += pnl.potentialProfit;
+    summary.liability += pnl.liability;
+    summary.unrealizedPnl += pnl.unrealizedPnl || 0;
+    summary.realizedPnl += pnl.realizedPnl || 0;
+  }
+
+  return summary;
+}
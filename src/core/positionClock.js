@@ -0,0 +1,92 @@
+// src/core/positionClock.js - Periodic time-based checks for active positions
+import { getAllPositions, refreshQuote, expirePosition } from './positionManager.js';
+import { logger } from '../utils/logger.js';
+import { CLOCK, POSITION } from '../config/constants.js';
+
+// Statuses that may still have an order live or be about to post one
+const EXPIRABLE_STATUSES = ['INITIALIZING', 'ACTIVE', 'RISK_PAUSED', 'BAND_PAUSED', 'CIRCUIT_PAUSED', 'STALE_PAUSED', 'ERROR'];
+
+let tickInterval = null;
+let isTicking = false;
+
+/**
+ * Gets the time at which a position stops quoting ahead of its fixture
+ * @param {Object} position - Position object
+ * @returns {string|null} - ISO date string of the cutoff, or null if the start date is unknown
+ */
+export function getPrematchCutoff(position) {
+  if (!position.startDate) {
+    return null;
+  }
+
+  const cutoffMinutes = position.cancelBeforeStartMinutes ?? POSITION.CANCEL_BEFORE_START_MINUTES;
+  return new Date(new Date(position.startDate).getTime() - cutoffMinutes * 60000).toISOString();
+}
+
+/**
+ * Checks whether a position that could still be quoting has reached its pre-match cutoff
+ * @param {Object} position - Position object
+ * @returns {boolean} - True if the position should be expired
+ */
+export function isPastPrematchCutoff(position) {
+  const cutoff = getPrematchCutoff(position);
+  return cutoff !== null && EXPIRABLE_STATUSES.includes(position.status) &&
+    Date.now() >= new Date(cutoff).getTime();
+}
+
+/**
+ * Runs time-based checks for every active position
+ * @returns {Promise<void>}
+ */
+export async function tickPositions() {
+  if (isTicking) {
+    return;
+  }
+
+  isTicking = true;
+
+  try {
+    for (const position of getAllPositions()) {
+      if (isPastPrematchCutoff(position)) {
+        await expirePosition(position.id);
+        continue;
+      }
+
+      // Premium schedules move the target odds as kickoff approaches, possibly back inside the odds band
+      if (['ACTIVE', 'BAND_PAUSED'].includes(position.status) && position.premiumSchedule && position.premiumSchedule.length > 0) {
+        await refreshQuote(position.id);
+      }
+    }
+  } catch (error) {
+    logger.error(`Error running position clock: ${error.message}`, { error });
+  } finally {
+    isTicking = false;
+  }
+}
+
+/**
+ * Starts the position clock
+ * @returns {void}
+ */
+export function startPositionClock() {
+  if (tickInterval) {
+    return;
+  }
+
+  logger.info(`Starting position clock every ${CLOCK.TICK_INTERVAL}ms`);
+
+  tickPositions();
+  tickInterval = setInterval(tickPositions, CLOCK.TICK_INTERVAL);
+}
+
+/**
+ * Stops the position clock
+ * @returns {void}
+ */
+export function stopPositionClock() {
+  if (tickInterval) {
+    clearInterval(tickInterval);
+    tickInterval = null;
+    logger.info('Stopped position clock');
+  }
+}
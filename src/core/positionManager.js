@@ -1,23 +1,44 @@
 // src/core/positionManager.js - Manages position state and operations
 import { v4 as uuidv4 } from 'uuid';
-import { createPositionLogger } from '../utils/logger.js';
-import { TOKENS, FILL_COMPLETION_THRESHOLD } from '../config/constants.js';
-import { subscribeToOrderBook, unsubscribeFromOrderBook } from '../api/websocket.js';
+import { logger, createPositionLogger } from '../utils/logger.js';
+import { TOKENS, POSITION, ORDER, ODDS, MARKET_MAKING, REFERENCE_PRICE, RISK_HYSTERESIS, FILL_COMPLETION_THRESHOLD } from '../config/constants.js';
 import { cancelOrder, cancelOrders } from './orderManager.js';
 import { postMakerOrder } from './orderManager.js';
-import { roundToNearestStep } from '../utils/oddsUtils.js';
+import { roundToStep, getLadderStepSize } from '../utils/oddsUtils.js';
 import { ethers } from 'ethers';
-import { trackCancelledOrder } from './marketMonitor.js';
+import { trackCancelledOrder, stopMarketMonitoring } from './marketMonitor.js';
+import { savePosition, deletePosition, loadPositions } from './positionStore.js';
+import { recordFill, calculatePositionPnl } from './pnlLedger.js';
+import { calculateTargetOdds, DEFAULT_PRICING_STRATEGY } from './pricingStrategies.js';
+import { applyPennyJump } from './pennyJump.js';
+import { getLevelOrderSize, isClipFilled } from './iceberg.js';
+import { calculateSideShare, isPairFilled, calculateInventoryImbalance, applyInventorySkew } from './marketMaking.js';
+import { buildLevels, migrateSingleOrder, getActiveOrderHashes, getTotalFilled, allocateFills } from './ladder.js';
+import { isCircuitBreakerTripped, recordFillActivity } from './circuitBreaker.js';
 
 // In-memory store for all active positions
 const positions = new Map();
 
+// Settled positions, kept for the history view
+const positionHistory = new Map();
+
 // Queue for position operations to prevent race conditions
 const operationQueues = new Map();
 
 // Track the last order update time per position
 const lastOrderUpdateTime = new Map();
-const MIN_ORDER_UPDATE_INTERVAL = 2500; // 2.5 seconds minimum between order updates
+
+// Trailing reprice timers for positions whose market moved while rate limited
+const scheduledReprices = new Map();
+
+// Timers that re-check risk-paused positions once their cool-down has passed
+const riskRechecks = new Map();
+
+// Level order statuses that left no order but are retried whenever the market moves
+const RETRYABLE_ORDER_STATUSES = ['NO_QUOTE', 'BLOCKED_LIMIT', 'BLOCKED_CIRCUIT'];
+
+// Statuses that may still have an order live or be about to post one, which the circuit breaker pauses
+export const TRADING_STATUSES = ['INITIALIZING', 'ACTIVE', 'RISK_PAUSED', 'BAND_PAUSED', 'STALE_PAUSED', 'ERROR'];
 
 /**
  * Creates a new position
@@ -32,10 +53,14 @@ export async function createNewPosition(positionData) {
     id: positionId,
     createdAt: new Date().toISOString(),
     status: 'INITIALIZING',
-    orderStatus: 'NONE',
-    activeOrderHash: null,
     pastOrderHashes: [],
+    orderFills: {},
+    orderOdds: {},
+    orderLevels: {},
+    orderSizes: {},
+    ledger: [],
     fillAmount: 0,
+    remainingAmount: positionData.maxFillAmount,
     fillPercentage: 0,
     logger,
     currentVig: null,
@@ -44,15 +69,44 @@ export async function createNewPosition(positionData) {
       outcome2: null
     },
     bestTakerOdds: null,
-    lastOrderOdds: null,
+    marketMetrics: null,
+    ladder: [],
+    clipSize: 0,
+    clipRandomRange: 0,
+    roundingMode: ODDS.DEFAULT_ROUNDING_MODE,
+    referencePriceMode: REFERENCE_PRICE.DEFAULT_MODE,
+    referenceDepthSize: REFERENCE_PRICE.DEFAULT_DEPTH_SIZE,
+    pennyJump: false,
+    pennyJumpMaxOdds: null,
+    minDecimalOdds: null,
+    maxDecimalOdds: null,
+    pauseReason: null,
+    resumeVig: null,
+    resumeLiquidity: null,
+    riskCooldownMs: RISK_HYSTERESIS.COOLDOWN_MS,
+    riskTimeline: [],
+    pricingStrategy: DEFAULT_PRICING_STRATEGY,
+    pricingParams: {},
+    premiumSchedule: [],
+    cancelBeforeStartMinutes: POSITION.CANCEL_BEFORE_START_MINUTES,
+    minUpdateIntervalMs: ORDER.MIN_UPDATE_INTERVAL_MS,
+    repriceTolerance: ORDER.REPRICE_TOLERANCE,
+    repriceToleranceUnit: ORDER.REPRICE_TOLERANCE_UNIT,
+    stats: {
+      skippedReprices: 0
+    },
     operations: {
       isPaused: false,
       isRiskThresholdBreached: false,
+      riskPausedAt: null,
       pendingOrderOperation: false
     },
     ...positionData
   };
   
+  position.levels = buildLevels(position.ladder);
+  recalculateFillTotals(position);
+  
   // Initialize operation queue for this position
   operationQueues.set(positionId, []);
   
@@ -60,10 +114,124 @@ export async function createNewPosition(positionData) {
   
   // Store the position
   positions.set(positionId, position);
+  persistPosition(position);
   
   return position;
 }
 
+/**
+ * Creates a two-sided market-making pair: one linked position quoting each outcome of the market.
+ * The sides share a combined max exposure, and fills on one side skew both sides' prices.
+ * @param {Object} positionData - Data for both sides; maxFillAmount is the combined max exposure
+ * @param {Object} outcomeNames - Outcome names keyed by outcome index ({ 1: ..., 2: ... })
+ * @returns {Promise<Array<Object>>} - The outcome one and outcome two positions
+ */
+export async function createMarketMakingPositions(positionData, outcomeNames) {
+  const sharedData = {
+    ...positionData,
+    positionType: 'MARKET_MAKING',
+    maxExposure: positionData.maxFillAmount,
+    inventorySkew: positionData.inventorySkew ?? MARKET_MAKING.DEFAULT_INVENTORY_SKEW
+  };
+  
+  const sideOne = await createNewPosition({ ...sharedData, outcomeIndex: 1, outcomeName: outcomeNames[1] });
+  const sideTwo = await createNewPosition({
+    ...sharedData,
+    outcomeIndex: 2,
+    outcomeName: outcomeNames[2],
+    linkedPositionId: sideOne.id
+  });
+  
+  sideOne.linkedPositionId = sideTwo.id;
+  persistPosition(sideOne);
+  
+  logger.info('Market-making positions created', {
+    marketHash: positionData.marketHash,
+    positionIds: [sideOne.id, sideTwo.id],
+    maxExposure: sharedData.maxExposure,
+    inventorySkew: sharedData.inventorySkew
+  });
+  
+  return [sideOne, sideTwo];
+}
+
+/**
+ * Restores positions persisted by a previous run into memory
+ * Monitoring and order posting are not resumed here; callers re-initialize them per position.
+ * @returns {Array<Object>} - Array of restored positions
+ */
+export function restorePositions() {
+  const restored = [];
+  
+  for (const savedPosition of loadPositions()) {
+    if (positions.has(savedPosition.id) || positionHistory.has(savedPosition.id)) {
+      continue;
+    }
+    
+    // Settled positions go straight to history; they are never monitored again
+    if (savedPosition.status === 'SETTLED') {
+      positionHistory.set(savedPosition.id, {
+        ...savedPosition,
+        logger: createPositionLogger(savedPosition.id)
+      });
+      continue;
+    }
+    
+    const position = {
+      ...savedPosition,
+      orderFills: savedPosition.orderFills || {},
+      orderOdds: savedPosition.orderOdds || {},
+      orderLevels: savedPosition.orderLevels || {},
+      orderSizes: savedPosition.orderSizes || {},
+      ledger: savedPosition.ledger || [],
+      riskTimeline: savedPosition.riskTimeline || [],
+      ladder: savedPosition.ladder || [],
+      levels: savedPosition.levels || migrateSingleOrder(savedPosition),
+      stats: {
+        skippedReprices: 0,
+        ...savedPosition.stats
+      },
+      logger: createPositionLogger(savedPosition.id),
+      operations: {
+        ...savedPosition.operations,
+        // No operation can still be in flight after a restart
+        pendingOrderOperation: false
+      }
+    };
+    
+    // Single-order fields from before ladder levels existed now live on the levels
+    delete position.activeOrderHash;
+    delete position.orderStatus;
+    delete position.lastOrderOdds;
+    delete position.lastPostedOdds;
+    
+    recalculateFillTotals(position);
+    
+    operationQueues.set(position.id, []);
+    positions.set(position.id, position);
+    
+    position.logger.info('Position restored from disk', {
+      status: position.status,
+      activeOrderHashes: getActiveOrderHashes(position),
+      fillAmount: position.fillAmount
+    });
+    
+    restored.push(position);
+  }
+  
+  // Market-making sides cap each other's remaining size, so recalculate once both sides are loaded
+  restored
+    .filter(position => position.linkedPositionId)
+    .forEach(position => recalculateFillTotals(position));
+  
+  // A position restored mid cool-down would otherwise wait for a market update to resume
+  restored
+    .filter(position => position.status === 'RISK_PAUSED' && position.operations.isRiskThresholdBreached)
+    .forEach(position => scheduleRiskRecheck(position));
+  
+  return restored;
+}
+
 /**
  * Retrieves all active positions
  * @returns {Array<Object>} - Array of active positions
@@ -72,6 +240,15 @@ export function getAllPositions() {
   return Array.from(positions.values());
 }
 
+/**
+ * Retrieves all settled positions
+ * @returns {Array<Object>} - Array of settled positions, most recently settled first
+ */
+export function getPositionHistory() {
+  return Array.from(positionHistory.values())
+    .sort((a, b) => new Date(b.settledAt) - new Date(a.settledAt));
+}
+
 /**
  * Gets a position by ID
  * @param {string} positionId - Position ID
@@ -95,12 +272,28 @@ export async function updatePosition(positionId, updatedSettings) {
   }
   
   // Queue this operation
-  return await enqueueOperation(positionId, async () => {
+  const result = await enqueueOperation(positionId, async () => {
     const updatedPosition = {
       ...position,
       ...updatedSettings
     };
     
+    // A market-making side's max fill is the pair's combined exposure
+    if (position.positionType === 'MARKET_MAKING' && updatedSettings.maxFillAmount !== undefined) {
+      updatedPosition.maxExposure = updatedSettings.maxFillAmount;
+    }
+    
+    // Level sizes and prices changed, so the old level orders can't be carried over
+    if (updatedSettings.ladder && 
+        JSON.stringify(updatedSettings.ladder) !== JSON.stringify(position.ladder)) {
+      position.logger.info('Ladder changed, rebuilding levels', { ladder: updatedSettings.ladder });
+      await cancelPositionOrders(position, 'CANCELLED_UPDATE');
+      updatedPosition.levels = buildLevels(updatedSettings.ladder);
+    }
+    
+    // Max fill may have changed, so re-derive remaining size and fill percentage
+    recalculateFillTotals(updatedPosition);
+    
     position.logger.info('Position updated', { 
       oldSettings: position,
       newSettings: updatedSettings 
@@ -108,16 +301,30 @@ export async function updatePosition(positionId, updatedSettings) {
     
     // Update the position in the store
     positions.set(positionId, updatedPosition);
+    persistPosition(updatedPosition);
     
     // Check if we need to update the active order based on new settings
     await checkAndUpdateOrder(positionId);
     
     return updatedPosition;
   });
+  
+  // Exposure and skew are shared by both sides of a market-making pair
+  const linkedPosition = positions.get(result.linkedPositionId);
+  if (linkedPosition && (linkedPosition.maxExposure !== result.maxExposure ||
+      linkedPosition.inventorySkew !== result.inventorySkew)) {
+    await updatePosition(linkedPosition.id, {
+      maxFillAmount: result.maxExposure,
+      inventorySkew: result.inventorySkew
+    });
+  }
+  
+  return result;
 }
 
 /**
- * Closes a position permanently
+ * Closes a position permanently. A position with filled stake stays tracked as CLOSED
+ * until its market settles; one without is removed straight away.
  * @param {string} positionId - Position ID
  * @returns {Promise<boolean>} - True if successful
  */
@@ -129,36 +336,47 @@ export async function closePosition(positionId) {
   }
   
   // Queue this operation
-  return await enqueueOperation(positionId, async () => {
+  const closed = await enqueueOperation(positionId, async () => {
     try {
-      position.logger.info('Closing position');
-      
-      // If there's an active order, cancel it
-      if (position.activeOrderHash) {
-        position.logger.info(`Cancelling active order ${position.activeOrderHash}`);
-        // Track order for potential fills before cancellation
-        trackCancelledOrder(position.activeOrderHash, positionId);
-        await cancelOrder(position.activeOrderHash);
+      if (position.status === 'CLOSED') {
+        return false;
       }
       
-      // Clear order tracking
-      position.activeOrderHash = null;
-      position.pastOrderHashes = [];
-      position.orderStatus = 'CANCELLED_CLOSE';
+      position.logger.info('Closing position');
+      
+      // Cancel any active orders
+      await cancelPositionOrders(position, 'CANCELLED_CLOSE');
       
-      // Unsubscribe from WebSocket
-      position.logger.info(`Unsubscribing from order book for market: ${position.marketHash}`);
-      await unsubscribeFromOrderBook(position.marketHash);
+      // Leave the market's orderbook; the feed is only unsubscribed once no other position uses it
+      position.logger.info(`Stopping market monitoring for market: ${position.marketHash}`);
+      await stopMarketMonitoring(position.marketHash, positionId);
       
       // Mark position as closed
       position.status = 'CLOSED';
+      position.closedAt = new Date().toISOString();
+      
+      // Filled stake is still at risk and has P&L to realize, so keep the position until its market settles
+      if (position.fillAmount > 0) {
+        clearScheduledReprice(positionId);
+        clearRiskRecheck(positionId);
+        persistPosition(position);
+        
+        position.logger.info('Position closed, keeping filled stake until the market settles', {
+          fillAmount: position.fillAmount
+        });
+        return true;
+      }
+      
       position.logger.info('Position closed successfully');
       
       // Remove from active positions
       positions.delete(positionId);
+      deletePosition(positionId);
       
-      // Clean up operation queue
+      // Clean up operation queue and any pending reprice or risk re-check
       operationQueues.delete(positionId);
+      clearScheduledReprice(positionId);
+      clearRiskRecheck(positionId);
       
       return true;
     } catch (error) {
@@ -166,6 +384,72 @@ export async function closePosition(positionId) {
       return false;
     }
   });
+  
+  // A market-making pair is closed together, so neither side is left quoting alone
+  if (closed && position.linkedPositionId && positions.has(position.linkedPositionId)) {
+    await closePosition(position.linkedPositionId);
+  }
+  
+  return closed;
+}
+
+/**
+ * Finalizes a position whose market has been settled by the exchange
+ * @param {string} positionId - Position ID
+ * @param {Object} market - Settled market from /markets/find
+ * @returns {Promise<boolean>} - True if the position was settled
+ */
+export async function settlePosition(positionId, market) {
+  const position = positions.get(positionId);
+  
+  if (!position) {
+    return false;
+  }
+  
+  // Queue this operation
+  return await enqueueOperation(positionId, async () => {
+    try {
+      position.logger.info('Market settled, finalizing position', {
+        outcome: market.outcome,
+        reportedDate: market.reportedDate
+      });
+      
+      // A settled market cannot be traded, but make sure nothing is left live
+      await cancelPositionOrders(position, 'CANCELLED');
+      
+      const winningOutcomeNames = {
+        0: 'Void',
+        1: market.outcomeOneName,
+        2: market.outcomeTwoName
+      };
+      
+      position.settlement = {
+        outcome: market.outcome,
+        winningOutcomeName: winningOutcomeNames[market.outcome] || 'Unknown',
+        reportedDate: market.reportedDate,
+        teamOneScore: market.teamOneScore,
+        teamTwoScore: market.teamTwoScore
+      };
+      position.settlement.realizedPnl = calculatePositionPnl(position).realizedPnl;
+      position.settledAt = new Date().toISOString();
+      position.status = 'SETTLED';
+      
+      // Stop monitoring and move the position into history
+      await stopMarketMonitoring(position.marketHash, positionId);
+      positions.delete(positionId);
+      positionHistory.set(positionId, position);
+      operationQueues.delete(positionId);
+      clearScheduledReprice(positionId);
+      clearRiskRecheck(positionId);
+      persistPosition(position);
+      
+      position.logger.info('Position settled', { settlement: position.settlement });
+      return true;
+    } catch (error) {
+      position.logger.error(`Error settling position: ${error.message}`, { error });
+      return false;
+    }
+  });
 }
 
 /**
@@ -184,12 +468,14 @@ export async function updateMarketData(positionId, marketData) {
   // Queue this operation
   return await enqueueOperation(positionId, async () => {
     try {
-      const { bestTakerOdds, vig, liquidity } = marketData;
+      const { bestTakerOdds, vig, liquidity, metrics } = marketData;
+      const marketMoved = hasMarketMoved(position, marketData);
       
       // Update position market data
       position.bestTakerOdds = bestTakerOdds;
       position.currentVig = vig;
       position.currentLiquidity = liquidity;
+      position.marketMetrics = metrics || null;
       
       position.logger.info('Market data updated', { 
         bestTakerOdds,
@@ -197,16 +483,27 @@ export async function updateMarketData(positionId, marketData) {
         liquidity
       });
       
+      // Market data stays current, but nothing is re-evaluated until the circuit breaker is acknowledged
+      if (position.status === 'CIRCUIT_PAUSED') {
+        return;
+      }
+      
+      // Fresh data for a market the stale watchdog paused
+      if (position.status === 'STALE_PAUSED') {
+        position.logger.info('Fresh market data received, resuming stale-paused position');
+        await resumeTrading(position);
+        return;
+      }
+      
       // Check if risk thresholds are exceeded
-      const isRiskThresholdBreached = checkRiskThresholds(position);
+      const riskState = evaluateRiskState(position);
+      const isRiskThresholdBreached = riskState.isBreached;
       
       // Handle risk threshold changes
-      if (isRiskThresholdBreached !== position.operations.isRiskThresholdBreached) {
-        position.operations.isRiskThresholdBreached = isRiskThresholdBreached;
-        
+      if (riskState.changed) {
         if (isRiskThresholdBreached) {
-          position.logger.warn('Risk thresholds exceeded, cancelling active orders');
-          await handleRiskThresholdBreach(position);
+          position.logger.warn(`${riskState.reason}, cancelling active orders`);
+          await handleRiskThresholdBreach(position, riskState.reason);
         } else {
           position.logger.info('Risk thresholds now OK, can resume order posting');
           await handleRiskThresholdResolution(position);
@@ -215,28 +512,43 @@ export async function updateMarketData(positionId, marketData) {
         return;
       }
       
-      // If odds changed and we have an active order, check if we should update it
-      if (!isRiskThresholdBreached && position.activeOrderHash && 
-          position.bestTakerOdds !== position.lastOrderOdds) {
+      // Pause rather than chase a market that has moved outside the position's odds band
+      if (!isRiskThresholdBreached && await handleOddsBand(position)) {
+        return;
+      }
+      
+      const levelsToUpdate = getLevelsToReprice(position);
+      
+      // Orders whose rounded target stayed within the tolerance band keep their queue priority
+      if (marketMoved) {
+        const skippedLevels = position.levels
+          .map((level, levelIndex) => ({ level, levelIndex }))
+          .filter(({ level, levelIndex }) => level.activeOrderHash && !levelsToUpdate.includes(levelIndex))
+          .map(({ levelIndex }) => levelIndex + 1);
+        
+        if (skippedLevels.length > 0) {
+          position.stats.skippedReprices += skippedLevels.length;
+          position.logger.info('Market moved but target odds are within tolerance, keeping orders', {
+            levels: skippedLevels,
+            skippedReprices: position.stats.skippedReprices
+          });
+        }
+      }
+      
+      if (!isRiskThresholdBreached && levelsToUpdate.length > 0) {
           
         // Implement rate limiting for order updates
         const now = Date.now();
         const lastUpdate = lastOrderUpdateTime.get(positionId) || 0;
+        const interval = getMinUpdateInterval(position);
         
-        if (now - lastUpdate < MIN_ORDER_UPDATE_INTERVAL) {
-          position.logger.info(`Skipping order update due to rate limiting (last update was ${now - lastUpdate}ms ago)`);
+        if (now - lastUpdate < interval) {
+          // Reprice to whatever the market looks like once the interval has elapsed
+          scheduleReprice(position, interval - (now - lastUpdate));
           return;
         }
-            
-        position.logger.info('Best taker odds changed, updating order', {
-          previous: position.lastOrderOdds,
-          new: position.bestTakerOdds
-        });
         
-        // Update timestamp before we start the update operation
-        lastOrderUpdateTime.set(positionId, now);
-        
-        await updateOrderForPosition(position);
+        await repriceLevels(position, levelsToUpdate);
       }
     } catch (error) {
       position.logger.error(`Error updating market data: ${error.message}`, { error });
@@ -244,13 +556,225 @@ export async function updateMarketData(positionId, marketData) {
   });
 }
 
+/**
+ * Gets the levels whose rounded target odds have moved beyond the reprice tolerance, plus
+ * levels whose strategy declined to quote or exposure limits blocked, which are retried whenever the market moves
+ * @param {Object} position - Position object
+ * @returns {Array<number>} - Indexes of the levels to reprice
+ */
+function getLevelsToReprice(position) {
+  const levelsToUpdate = [];
+  
+  position.levels.forEach((level, levelIndex) => {
+    if (!level.activeOrderHash) {
+      if (position.status === 'ACTIVE' && RETRYABLE_ORDER_STATUSES.includes(level.orderStatus)) {
+        levelsToUpdate.push(levelIndex);
+      }
+      return;
+    }
+    
+    const target = resolveOrderOdds(position, level);
+    
+    if (exceedsRepriceTolerance(position, level.lastPostedOdds, target ? target.roundedOdds : null)) {
+      levelsToUpdate.push(levelIndex);
+    }
+  });
+  
+  return levelsToUpdate;
+}
+
+/**
+ * Checks whether a new target is far enough from the posted odds to justify a cancel and repost
+ * @param {Object} position - Position object
+ * @param {number|null} postedOdds - Odds the live order was posted at
+ * @param {number|null} targetOdds - Rounded target odds, or null if the strategy declines to quote
+ * @returns {boolean} - True if the order should be repriced
+ */
+function exceedsRepriceTolerance(position, postedOdds, targetOdds) {
+  // Pulling the quote, or an order with unknown odds, always needs an update
+  if (targetOdds === null || postedOdds === null || postedOdds === undefined) {
+    return true;
+  }
+  
+  const move = Math.abs(targetOdds - postedOdds);
+  
+  // Same ladder tick: reposting would only lose queue priority
+  if (move < ODDS.EPSILON) {
+    return false;
+  }
+  
+  const tolerance = position.repriceTolerance ?? ORDER.REPRICE_TOLERANCE;
+  const unit = position.repriceToleranceUnit || ORDER.REPRICE_TOLERANCE_UNIT;
+  const moveInUnits = unit === 'PERCENT'
+    ? move * 100
+    : move * 10000 / getLadderStepSize();
+  
+  return moveInUnits > tolerance + ODDS.EPSILON;
+}
+
+/**
+ * Checks whether a market update changed the best taker or competing maker odds on either side
+ * @param {Object} position - Position object, before the update is applied
+ * @param {Object} marketData - Incoming market data
+ * @returns {boolean} - True if the market moved
+ */
+function hasMarketMoved(position, marketData) {
+  return marketData.bestTakerOdds !== position.bestTakerOdds ||
+    JSON.stringify(marketData.metrics?.bestTakerOdds) !== JSON.stringify(position.marketMetrics?.bestTakerOdds) ||
+    JSON.stringify(marketData.metrics?.bestMakerOdds) !== JSON.stringify(position.marketMetrics?.bestMakerOdds);
+}
+
+/**
+ * Gets the minimum time between reprices for a position
+ * @param {Object} position - Position object
+ * @returns {number} - Interval in milliseconds
+ */
+function getMinUpdateInterval(position) {
+  return position.minUpdateIntervalMs ?? ORDER.MIN_UPDATE_INTERVAL_MS;
+}
+
+/**
+ * Reprices levels against the current market, recording the time for rate limiting
+ * @param {Object} position - Position object
+ * @param {Array<number>} levelsToUpdate - Indexes of the levels to reprice
+ * @returns {Promise<void>}
+ */
+async function repriceLevels(position, levelsToUpdate) {
+  clearScheduledReprice(position.id);
+  
+  position.logger.info('Market changed, updating orders', {
+    levels: levelsToUpdate.map(levelIndex => levelIndex + 1),
+    new: position.bestTakerOdds
+  });
+  
+  // Update timestamp before we start the update operation
+  lastOrderUpdateTime.set(position.id, Date.now());
+  
+  await updateOrderForPosition(position, levelsToUpdate);
+}
+
+/**
+ * Schedules a trailing reprice for a rate-limited position. Further market updates before it
+ * runs only change the state it reprices against, so the latest market is always used.
+ * @param {Object} position - Position object
+ * @param {number} delay - Milliseconds until the rate limit allows another update
+ * @returns {void}
+ */
+function scheduleReprice(position, delay) {
+  if (scheduledReprices.has(position.id)) {
+    return;
+  }
+  
+  position.logger.info(`Rate limited, repricing to the latest market in ${delay}ms`);
+  
+  const timer = setTimeout(() => {
+    scheduledReprices.delete(position.id);
+    
+    if (!positions.has(position.id)) {
+      return;
+    }
+    
+    enqueueOperation(position.id, async () => {
+      const current = positions.get(position.id);
+      
+      if (!current || current.operations.isRiskThresholdBreached || await handleOddsBand(current)) {
+        return;
+      }
+      
+      const levelsToUpdate = getLevelsToReprice(current);
+      
+      if (levelsToUpdate.length > 0) {
+        await repriceLevels(current, levelsToUpdate);
+      }
+    }).catch(error => {
+      position.logger.error(`Error running scheduled reprice: ${error.message}`, { error });
+    });
+  }, delay);
+  
+  scheduledReprices.set(position.id, timer);
+}
+
+/**
+ * Cancels a position's pending trailing reprice, if any
+ * @param {string} positionId - Position ID
+ * @returns {void}
+ */
+function clearScheduledReprice(positionId) {
+  const timer = scheduledReprices.get(positionId);
+  
+  if (timer) {
+    clearTimeout(timer);
+    scheduledReprices.delete(positionId);
+  }
+}
+
+/**
+ * Re-checks a risk-paused position's thresholds once its cool-down has passed.
+ * Market updates only re-check while the book keeps changing, so a market that recovered
+ * during the cool-down and then went quiet would otherwise stay paused.
+ * @param {Object} position - Risk-paused position
+ * @returns {void}
+ */
+function scheduleRiskRecheck(position) {
+  clearRiskRecheck(position.id);
+  
+  const timer = setTimeout(() => {
+    riskRechecks.delete(position.id);
+    
+    if (!positions.has(position.id)) {
+      return;
+    }
+    
+    enqueueOperation(position.id, async () => {
+      const current = positions.get(position.id);
+      
+      if (!current || current.status !== 'RISK_PAUSED' || !current.operations.isRiskThresholdBreached) {
+        return;
+      }
+      
+      if (!evaluateRiskState(current).changed) {
+        // Check again when a cool-down lengthened since scheduling ends; a market still outside the
+        // resume thresholds is re-checked by the next market update as usual
+        if (getRiskCooldownRemaining(current) > 0) {
+          scheduleRiskRecheck(current);
+        }
+        return;
+      }
+      
+      current.logger.info('Risk cool-down passed and thresholds OK, resuming order posting');
+      await handleRiskThresholdResolution(current);
+    }).catch(error => {
+      position.logger.error(`Error re-checking risk thresholds: ${error.message}`, { error });
+    });
+  }, Math.max(getRiskCooldownRemaining(position), 0));
+  
+  riskRechecks.set(position.id, timer);
+}
+
+/**
+ * Cancels a position's pending cool-down risk re-check, if any
+ * @param {string} positionId - Position ID
+ * @returns {void}
+ */
+function clearRiskRecheck(positionId) {
+  const timer = riskRechecks.get(positionId);
+  
+  if (timer) {
+    clearTimeout(timer);
+    riskRechecks.delete(positionId);
+  }
+}
+
 /**
  * Updates the order fill status for a position
+ * Fills are tracked per order hash, so fills on orders replaced by a reprice are never lost.
  * @param {string} positionId - Position ID
- * @param {string} fillAmount - Amount filled in base units
+ * @param {string} fillAmount - Cumulative amount filled on the order in base units
+ * @param {string} [orderHash] - Hash of the filled order (defaults to the active order)
+ * @param {number} [impliedOdds] - Maker implied odds reported with the fill, used if the order's posted odds are unknown
  * @returns {Promise<void>}
  */
-export async function updateFillStatus(positionId, fillAmount) {
+export async function updateFillStatus(positionId, fillAmount, orderHash, impliedOdds) {
   const position = positions.get(positionId);
   
   if (!position) {
@@ -260,41 +784,78 @@ export async function updateFillStatus(positionId, fillAmount) {
   // Queue this operation
   return await enqueueOperation(positionId, async () => {
     try {
+      const activeOrderHashes = getActiveOrderHashes(position);
+      const filledOrderHash = orderHash || (activeOrderHashes.length === 1 ? activeOrderHashes[0] : null);
+      
+      if (!filledOrderHash) {
+        position.logger.warn('Received fill without an order hash and no single active order, ignoring');
+        return;
+      }
+      
+      const levelIndex = position.orderLevels[filledOrderHash] ?? 0;
+      const level = position.levels[levelIndex];
+      
       // Convert fill amount to USDC
       const fillAmountUSDC = Number(ethers.formatUnits(fillAmount, TOKENS.USDC.DECIMALS));
       
-      // Update position fill data
-      position.fillAmount = fillAmountUSDC;
-      position.fillPercentage = (fillAmountUSDC / position.maxFillAmount) * 100;
+      // An order's fill amount only ever grows, so ignore stale or repeated updates
+      const previousOrderFill = position.orderFills[filledOrderHash] || 0;
+      if (fillAmountUSDC <= previousOrderFill) {
+        return;
+      }
+      
+      position.orderFills[filledOrderHash] = fillAmountUSDC;
+      recalculateFillTotals(position);
+      
+      // Record the newly matched stake in the P&L ledger at the order's odds
+      recordFill(position, {
+        orderHash: filledOrderHash,
+        stake: fillAmountUSDC - previousOrderFill,
+        impliedOdds: position.orderOdds[filledOrderHash] ?? impliedOdds ?? level?.lastPostedOdds
+      });
       
       position.logger.info('Fill status updated', { 
-        fillAmount: fillAmountUSDC,
+        orderHash: filledOrderHash,
+        level: levelIndex + 1,
+        orderFillAmount: fillAmountUSDC,
+        fillAmount: position.fillAmount,
+        remainingAmount: position.remainingAmount,
         fillPercentage: position.fillPercentage
       });
       
+      // A burst of fills across the portfolio trips the circuit breaker
+      recordFillActivity();
+      
+      // The other side of a market-making pair loses size and gets its inventory skew updated
+      rebalanceLinkedPosition(position);
+      
       // Check if position is complete
-      if (position.fillPercentage >= FILL_COMPLETION_THRESHOLD * 100) {
+      if (isPositionFilled(position)) {
         position.logger.info('Position is >99% filled, marking as complete');
         position.status = 'COMPLETED';
         
-        // If there's an active order, cancel it
-        if (position.activeOrderHash) {
-          position.logger.info('Cancelling remaining order for completed position');
-          await cancelOrder(position.activeOrderHash);
-          position.activeOrderHash = null;
-          // Reset past order hashes since position is complete
-          position.pastOrderHashes = [];
-          position.orderStatus = 'CANCELLED';
-        }
+        // Cancel any remaining orders
+        await cancelPositionOrders(position, 'CANCELLED');
         
+        persistPosition(position);
         return;
       }
       
-      // If there's an existing order and odds changed, update it
-      if (position.activeOrderHash && 
+      persistPosition(position);
+      
+      // An iceberg leaves a partly filled clip resting and only reloads once the whole clip is gone
+      if (position.clipSize > 0 && level && level.activeOrderHash === filledOrderHash) {
+        if (isClipFilled(position, filledOrderHash)) {
+          await reloadClip(position, levelIndex);
+        }
+        return;
+      }
+      
+      // Resize the filled level's live order to what the level has left
+      if (level && level.activeOrderHash && 
           !position.operations.isRiskThresholdBreached) {
-        position.logger.info('Order partially filled, updating for remaining amount');
-        await updateOrderForPosition(position);
+        position.logger.info(`Level ${levelIndex + 1} partially filled, updating for remaining amount`);
+        await updateOrderForPosition(position, [levelIndex]);
       }
     } catch (error) {
       position.logger.error(`Error updating fill status: ${error.message}`, { error });
@@ -303,7 +864,23 @@ export async function updateFillStatus(positionId, fillAmount) {
 }
 
 /**
- * Posts the initial order for a position
+ * Finds the position that posted an order, checking active and past order hashes
+ * @param {string} orderHash - Order hash
+ * @returns {Object|null} - The owning position or null if not found
+ */
+export function findPositionByOrderHash(orderHash) {
+  for (const position of positions.values()) {
+    if (getActiveOrderHashes(position).includes(orderHash) || position.pastOrderHashes.includes(orderHash)) {
+      return position;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Posts the initial orders for a position, one per ladder level
+ * Levels that already have a live order (e.g. adopted during reconciliation) are left alone.
  * @param {string} positionId - Position ID
  * @returns {Promise<void>}
  */
@@ -317,76 +894,260 @@ export async function postInitialOrder(positionId) {
   // Queue this operation
   return await enqueueOperation(positionId, async () => {
     try {
-      // Check if there's already an active order
-      if (position.activeOrderHash) {
-        position.logger.warn(`Position already has an active order: ${position.activeOrderHash}. Skipping.`);
+      const levelsToPost = position.levels
+        .map((level, levelIndex) => ({ level, levelIndex }))
+        .filter(({ level }) => !level.activeOrderHash && level.remainingAmount > 0)
+        .map(({ levelIndex }) => levelIndex);
+      
+      // Check if every level already has an active order
+      if (levelsToPost.length === 0) {
+        position.logger.warn('Position already has active orders for every level. Skipping.', {
+          activeOrderHashes: getActiveOrderHashes(position)
+        });
         return;
       }
       
-      position.logger.info('Posting initial order');
+      position.logger.info('Posting initial orders', { levels: levelsToPost.map(levelIndex => levelIndex + 1) });
       
-      // Make sure risk thresholds are not exceeded
-      if (checkRiskThresholds(position)) {
-        position.operations.isRiskThresholdBreached = true;
-        position.logger.warn('Cannot post initial order, risk thresholds exceeded');
+      if (isCircuitBreakerTripped()) {
+        position.logger.warn('Cannot post initial order, circuit breaker is tripped');
+        position.status = 'CIRCUIT_PAUSED';
+        position.pauseReason = 'Circuit breaker tripped before the position started trading';
+        persistPosition(position);
         return;
       }
       
-      // Calculate odds with premium
-      const oddsWithPremium = applyPremium(position.bestTakerOdds, position.premium);
+      // Make sure risk thresholds are not exceeded
+      const riskState = evaluateRiskState(position);
       
-      // Round to nearest step on odds ladder
-      const roundedOdds = roundToNearestStep(oddsWithPremium);
+      if (riskState.isBreached) {
+        position.logger.warn(`Cannot post initial order, risk thresholds exceeded: ${riskState.reason}`);
+        return;
+      }
       
-      // Calculate remaining amount to fill
-      const remainingToFill = position.maxFillAmount - position.fillAmount;
+      const bandViolation = checkOddsBand(position);
       
-      // Post the order
-      const result = await postMakerOrder({
-        marketHash: position.marketHash,
-        isMakerBettingOutcomeOne: position.outcomeIndex === 1,
-        betSizeUSDC: remainingToFill,
-        impliedOdds: roundedOdds
-      });
+      if (bandViolation) {
+        position.logger.warn('Cannot post initial order, target odds are outside the odds band');
+        await handleOddsBandBreach(position, bandViolation);
+        return;
+      }
       
-      // Update position with new order info
-      position.activeOrderHash = result.orderHash;
-      position.lastOrderOdds = position.bestTakerOdds;
-      position.orderStatus = 'ACTIVE';
-      position.status = 'ACTIVE';
+      for (const levelIndex of levelsToPost) {
+        await postLevelOrder(position, levelIndex);
+      }
       
-      position.logger.info('Initial order posted successfully', {
-        orderHash: result.orderHash,
-        impliedOdds: roundedOdds,
-        betSize: remainingToFill
-      });
+      // Posting can pause the position part way through
+      if (!['BAND_PAUSED', 'CIRCUIT_PAUSED', 'STALE_PAUSED'].includes(position.status)) {
+        position.status = 'ACTIVE';
+      }
+      persistPosition(position);
     } catch (error) {
       position.logger.error(`Error posting initial order: ${error.message}`, { error });
       position.status = 'ERROR';
+      persistPosition(position);
       throw error;
     }
   });
 }
 
 /**
- * Handles a risk threshold breach for a position
- * @param {Object} position - Position object
- * @returns {Promise<void>}
+ * Adopts a live exchange order as a level's active order (used by startup reconciliation).
+ * Orders with more unfilled stake than the level has left to fill are refused, since they could overfill it.
+ * @param {string} positionId - Position ID
+ * @param {Object} order - Order details
+ * @param {string} order.orderHash - Hash of the live order
+ * @param {number} order.impliedOdds - Maker implied odds of the live order (0-1)
+ * @param {number} order.totalSize - Full size of the live order in USDC, filled or not
+ * @param {number} order.remainingSize - Unfilled size of the live order in USDC
+ * @param {number} [levelIndex] - Index of the ladder level the order belongs to
+ * @returns {Promise<boolean>} - True if the order was adopted
  */
-async function handleRiskThresholdBreach(position) {
-  try {
-    // If there's an active order, cancel it
-    if (position.activeOrderHash) {
-      position.logger.warn(`Cancelling order ${position.activeOrderHash} due to risk threshold breach`);
-      // Track this order for potential fills
-      trackCancelledOrder(position.activeOrderHash, position.id);
-      await cancelOrder(position.activeOrderHash);
-      position.activeOrderHash = null;
-      position.orderStatus = 'CANCELLED_RISK';
-    }
+export async function adoptOrder(positionId, { orderHash, impliedOdds, totalSize, remainingSize }, levelIndex = 0) {
+  const position = positions.get(positionId);
+  
+  if (!position) {
+    throw new Error(`Position ${positionId} not found`);
+  }
+  
+  return await enqueueOperation(positionId, async () => {
+    const level = position.levels[levelIndex];
+    
+    // Allow for rounding to the USDC base unit
+    if (remainingSize > level.remainingAmount + 1e-6) {
+      position.logger.warn('Not adopting live exchange order larger than the level has left to fill', {
+        orderHash,
+        remainingSize,
+        levelRemainingAmount: level.remainingAmount,
+        level: levelIndex + 1
+      });
+      return false;
+    }
+    
+    level.activeOrderHash = orderHash;
+    level.lastPostedOdds = impliedOdds;
+    level.orderStatus = 'ACTIVE';
+    position.orderOdds[orderHash] = impliedOdds;
+    position.orderLevels[orderHash] = levelIndex;
+    // Fills are tracked cumulatively per order, so the order's full size is what they are measured against
+    position.orderSizes[orderHash] = totalSize;
+    
+    if (position.status === 'INITIALIZING' || position.status === 'ERROR') {
+      position.status = 'ACTIVE';
+    }
+    
+    position.logger.info('Adopted live exchange order', { orderHash, impliedOdds, totalSize, remainingSize, level: levelIndex + 1 });
+    persistPosition(position);
+    return true;
+  });
+}
+
+/**
+ * Releases an active order that is no longer live on the exchange
+ * @param {string} positionId - Position ID
+ * @param {string} orderHash - Hash of the order to release
+ * @returns {Promise<void>}
+ */
+export async function releaseActiveOrder(positionId, orderHash) {
+  const position = positions.get(positionId);
+  
+  if (!position) {
+    throw new Error(`Position ${positionId} not found`);
+  }
+  
+  return await enqueueOperation(positionId, async () => {
+    const level = position.levels.find(level => level.activeOrderHash === orderHash);
+    
+    if (!level) {
+      return;
+    }
+    
+    position.logger.warn(`Active order ${orderHash} is no longer live on the exchange, releasing it`);
+    position.pastOrderHashes.push(orderHash);
+    level.activeOrderHash = null;
+    level.orderStatus = 'NONE';
+    persistPosition(position);
+  });
+}
+
+/**
+ * Expires a position at its pre-match cutoff: cancels the active order and stops monitoring
+ * so nothing stays live into kickoff. Filled stake is kept and settles as normal.
+ * @param {string} positionId - Position ID
+ * @returns {Promise<boolean>} - True if the position was expired
+ */
+export async function expirePosition(positionId) {
+  const position = positions.get(positionId);
+  
+  if (!position) {
+    return false;
+  }
+  
+  // Queue this operation
+  return await enqueueOperation(positionId, async () => {
+    try {
+      if (position.status === 'EXPIRED_PREMATCH') {
+        return false;
+      }
+      
+      position.logger.info('Pre-match cutoff reached, expiring position', {
+        startDate: position.startDate,
+        cancelBeforeStartMinutes: position.cancelBeforeStartMinutes
+      });
+      
+      await cancelPositionOrders(position, 'CANCELLED_EXPIRY');
+      
+      position.status = 'EXPIRED_PREMATCH';
+      position.expiredAt = new Date().toISOString();
+      
+      await stopMarketMonitoring(position.marketHash, positionId);
+      clearScheduledReprice(positionId);
+      clearRiskRecheck(positionId);
+      persistPosition(position);
+      
+      position.logger.info('Position expired before fixture start');
+      return true;
+    } catch (error) {
+      // Leave the status alone so the next clock tick retries the cancel
+      position.logger.error(`Error expiring position: ${error.message}`, { error });
+      return false;
+    }
+  });
+}
+
+/**
+ * Reprices a position's levels if their strategy's target odds have moved without a market update,
+ * e.g. as a premium schedule progresses towards kickoff
+ * @param {string} positionId - Position ID
+ * @returns {Promise<boolean>} - True if any order was updated
+ */
+export async function refreshQuote(positionId) {
+  const position = positions.get(positionId);
+  
+  if (!position) {
+    throw new Error(`Position ${positionId} not found`);
+  }
+  
+  return await enqueueOperation(positionId, async () => {
+    if (!['ACTIVE', 'BAND_PAUSED'].includes(position.status) || position.operations.isRiskThresholdBreached) {
+      return false;
+    }
+    
+    // A moving target can leave or re-enter the odds band without any market update
+    if (await handleOddsBand(position)) {
+      return position.status === 'ACTIVE';
+    }
+    
+    // Skip levels already sitting at (or within tolerance of) their target, or with still nothing to quote
+    const levelsToUpdate = [];
+    
+    position.levels.forEach((level, levelIndex) => {
+      if (!level.activeOrderHash && !RETRYABLE_ORDER_STATUSES.includes(level.orderStatus)) {
+        return;
+      }
+      
+      const target = resolveOrderOdds(position, level);
+      const targetOdds = target ? target.roundedOdds : null;
+      
+      if (level.activeOrderHash
+        ? exceedsRepriceTolerance(position, level.lastPostedOdds, targetOdds)
+        : targetOdds !== null) {
+        levelsToUpdate.push(levelIndex);
+      }
+    });
+    
+    if (levelsToUpdate.length === 0) {
+      return false;
+    }
+    
+    position.logger.info('Target odds moved over time, updating orders', {
+      levels: levelsToUpdate.map(levelIndex => levelIndex + 1)
+    });
+    
+    lastOrderUpdateTime.set(positionId, Date.now());
+    await updateOrderForPosition(position, levelsToUpdate);
+    return true;
+  });
+}
+
+/**
+ * Handles a risk threshold breach for a position
+ * @param {Object} position - Position object
+ * @param {string} reason - Which threshold was breached and how
+ * @returns {Promise<void>}
+ */
+async function handleRiskThresholdBreach(position, reason) {
+  try {
+    // Cancel any active orders
+    position.logger.warn('Cancelling orders due to risk threshold breach');
+    await cancelPositionOrders(position, 'CANCELLED_RISK');
     
     // Update status
     position.status = 'RISK_PAUSED';
+    position.pauseReason = reason;
+    persistPosition(position);
+    
+    scheduleRiskRecheck(position);
   } catch (error) {
     position.logger.error(`Error handling risk threshold breach: ${error.message}`, { error });
   }
@@ -402,6 +1163,7 @@ async function handleRiskThresholdResolution(position) {
     if (position.status === 'RISK_PAUSED') {
       position.logger.info('Risk thresholds resolved, resuming position');
       position.status = 'ACTIVE';
+      position.pauseReason = null;
       
       // Post a new order with current market conditions
       await updateOrderForPosition(position);
@@ -412,22 +1174,115 @@ async function handleRiskThresholdResolution(position) {
 }
 
 /**
- * Updates the order for a position
+ * Pauses a position whose target odds are outside its odds band, or resumes it once they are back inside
+ * Only positions that are quoting, or paused by the band, are checked.
+ * @param {Object} position - Position object
+ * @returns {Promise<boolean>} - True if the band paused, kept paused or resumed the position
+ */
+async function handleOddsBand(position) {
+  if (!['ACTIVE', 'BAND_PAUSED'].includes(position.status)) {
+    return false;
+  }
+  
+  const bandViolation = checkOddsBand(position);
+  
+  if (bandViolation) {
+    if (position.status === 'ACTIVE') {
+      await handleOddsBandBreach(position, bandViolation);
+    } else if (bandViolation !== position.pauseReason) {
+      position.pauseReason = bandViolation;
+      persistPosition(position);
+    }
+    return true;
+  }
+  
+  if (position.status === 'BAND_PAUSED') {
+    await handleOddsBandResolution(position);
+    return true;
+  }
+  
+  return false;
+}
+
+/**
+ * Handles target odds moving outside a position's odds band
  * @param {Object} position - Position object
+ * @param {string} reason - Which level breached the band and how
  * @returns {Promise<void>}
  */
-async function updateOrderForPosition(position) {
+async function handleOddsBandBreach(position, reason) {
+  try {
+    position.logger.warn(`${reason}, pausing position and cancelling orders`);
+    position.status = 'BAND_PAUSED';
+    position.pauseReason = reason;
+    
+    await cancelPositionOrders(position, 'CANCELLED_BAND');
+    persistPosition(position);
+  } catch (error) {
+    position.logger.error(`Error handling odds band breach: ${error.message}`, { error });
+  }
+}
+
+/**
+ * Handles target odds returning inside a position's odds band
+ * @param {Object} position - Position object
+ * @returns {Promise<void>}
+ */
+async function handleOddsBandResolution(position) {
+  try {
+    position.logger.info('Target odds back inside the odds band, resuming position');
+    position.status = 'ACTIVE';
+    position.pauseReason = null;
+    
+    // Post new orders with current market conditions
+    await updateOrderForPosition(position);
+  } catch (error) {
+    position.logger.error(`Error handling odds band resolution: ${error.message}`, { error });
+  }
+}
+
+/**
+ * Updates the orders for a position's ladder levels
+ * @param {Object} position - Position object
+ * @param {Array<number>} [levelIndexes] - Levels to update (defaults to every level)
+ * @returns {Promise<void>}
+ */
+async function updateOrderForPosition(position, levelIndexes = position.levels.map((level, levelIndex) => levelIndex)) {
+  for (const levelIndex of levelIndexes) {
+    // A fill on an earlier level may have completed the position
+    if (position.status === 'COMPLETED') {
+      break;
+    }
+    
+    await updateLevelOrder(position, levelIndex);
+  }
+  
+  // Skip if position is fully filled
+  if (position.remainingAmount <= 0 && position.status !== 'COMPLETED') {
+    position.logger.info('Position is fully filled, no need to update orders');
+    position.status = 'COMPLETED';
+  }
+  
+  persistPosition(position);
+}
+
+/**
+ * Updates the order for a single ladder level
+ * @param {Object} position - Position object
+ * @param {number} levelIndex - Index of the level
+ * @returns {Promise<void>}
+ */
+async function updateLevelOrder(position, levelIndex) {
+  const level = position.levels[levelIndex];
+  
   try {
     // If there's an active order, cancel it first
-    if (position.activeOrderHash) {
-      position.logger.info(`Cancelling order ${position.activeOrderHash} to update odds`);
-      
-      // Track this order for potential fills
-      trackCancelledOrder(position.activeOrderHash, position.id);
+    if (level.activeOrderHash) {
+      position.logger.info(`Cancelling level ${levelIndex + 1} order ${level.activeOrderHash} to update odds`);
       
       // Important: Wait for the cancel to complete before posting a new order
       try {
-        const cancelResult = await cancelOrder(position.activeOrderHash);
+        const cancelResult = await cancelLevelOrder(position, level, 'CANCELLED_UPDATE');
         
         // Check if the order was actually cancelled
         if (cancelResult.cancelledCount === 0) {
@@ -439,17 +1294,9 @@ async function updateOrderForPosition(position) {
           // If the position is completed, don't post a new order
           if (position.status === 'COMPLETED') {
             position.logger.info('Position is now completed, not posting new order');
-            position.activeOrderHash = null;
-            position.orderStatus = 'COMPLETED';
+            level.orderStatus = 'COMPLETED';
             return;
           }
-          
-          // If we get here, the order was likely cancelled but not filled
-          position.activeOrderHash = null;
-          position.orderStatus = 'CANCELLED_UPDATE';
-        } else {
-          position.activeOrderHash = null;
-          position.orderStatus = 'CANCELLED_UPDATE';
         }
       } catch (cancelError) {
         position.logger.error(`Error cancelling order: ${cancelError.message}`, { error: cancelError });
@@ -464,89 +1311,481 @@ async function updateOrderForPosition(position) {
       return;
     }
     
-    // Calculate odds with premium
-    const oddsWithPremium = applyPremium(position.bestTakerOdds, position.premium);
-    
-    // Round to nearest step on odds ladder
-    const roundedOdds = roundToNearestStep(oddsWithPremium);
-    
-    // Calculate remaining amount to fill
-    const remainingToFill = position.maxFillAmount - position.fillAmount;
-    
-    // Skip if position is fully filled
-    if (remainingToFill <= 0) {
-      position.logger.info('Position is fully filled, no need to update order');
-      position.status = 'COMPLETED';
+    // Skip if this level is fully filled
+    if (level.remainingAmount <= 0) {
+      position.logger.info(`Level ${levelIndex + 1} is fully filled, no need to update order`);
+      level.orderStatus = 'FILLED';
       return;
     }
     
     // Add a small delay to ensure the cancel has propagated to the exchange
     await new Promise(resolve => setTimeout(resolve, 500));
     
-    // Post the updated order
-    const result = await postMakerOrder({
-      marketHash: position.marketHash,
-      isMakerBettingOutcomeOne: position.outcomeIndex === 1,
-      betSizeUSDC: remainingToFill,
-      impliedOdds: roundedOdds
-    });
-    
-    // Update position with new order info
-    position.activeOrderHash = result.orderHash;
-    position.lastOrderOdds = position.bestTakerOdds;
-    position.orderStatus = 'ACTIVE';
-    
-    position.logger.info('Order updated successfully', {
-      orderHash: result.orderHash,
-      impliedOdds: roundedOdds,
-      betSize: remainingToFill
-    });
+    await postLevelOrder(position, levelIndex);
   } catch (error) {
-    position.logger.error(`Error updating order: ${error.message}`, { error });
-    position.orderStatus = 'ERROR';
+    position.logger.error(`Error updating level ${levelIndex + 1} order: ${error.message}`, { error });
+    level.orderStatus = 'ERROR';
+  }
+}
+
+/**
+ * Posts a ladder level's order for its remaining size at the strategy's target odds
+ * @param {Object} position - Position object
+ * @param {number} levelIndex - Index of the level
+ * @returns {Promise<Object|null>} - Order result, or null if nothing was posted
+ */
+async function postLevelOrder(position, levelIndex) {
+  const level = position.levels[levelIndex];
+  
+  // An earlier level in the same update may have breached the odds band, or the circuit breaker or stale watchdog paused it
+  if (['BAND_PAUSED', 'CIRCUIT_PAUSED', 'STALE_PAUSED'].includes(position.status)) {
+    return null;
+  }
+  
+  // Calculate odds with the position's pricing strategy
+  const target = resolveOrderOdds(position, level);
+  
+  if (target === null) {
+    position.logger.warn(`Pricing strategy ${position.pricingStrategy} declined to quote level ${levelIndex + 1}, leaving no order`);
+    level.orderStatus = 'NO_QUOTE';
+    level.lastOrderOdds = position.bestTakerOdds;
+    return null;
+  }
+  
+  const { rawOdds, roundedOdds, roundingMode, pennyJumped } = target;
+  
+  // Fills and linked-side rebalances can reprice a level without a market update
+  const bandViolation = getOddsBandViolation(position, levelIndex, roundedOdds);
+  
+  if (bandViolation) {
+    await handleOddsBandBreach(position, bandViolation);
+    return null;
+  }
+  
+  const betSize = getLevelOrderSize(position, level);
+  
+  const result = await postMakerOrder({
+    marketHash: position.marketHash,
+    isMakerBettingOutcomeOne: position.outcomeIndex === 1,
+    betSizeUSDC: betSize,
+    impliedOdds: roundedOdds,
+    roundingMode,
+    positionId: position.id
+  });
+  
+  // The circuit breaker or portfolio exposure limits stopped the order; the level is retried as the market moves
+  if (!result.orderHash) {
+    if (result.blockedBy === 'EXPOSURE_LIMIT') {
+      position.logger.warn(`Level ${levelIndex + 1} order blocked by the ${result.limit.label.toLowerCase()} exposure limit`, {
+        limit: result.limit
+      });
+      level.orderStatus = 'BLOCKED_LIMIT';
+    } else {
+      position.logger.warn(`Level ${levelIndex + 1} order blocked, circuit breaker is tripped`);
+      level.orderStatus = 'BLOCKED_CIRCUIT';
+    }
+    level.lastOrderOdds = position.bestTakerOdds;
+    return null;
   }
+  
+  // Exposure limits may have shrunk the order
+  const postedSize = result.betSizeUSDC ?? betSize;
+  
+  // Update level with new order info
+  level.activeOrderHash = result.orderHash;
+  level.lastOrderOdds = position.bestTakerOdds;
+  level.lastPostedOdds = roundedOdds;
+  level.orderStatus = 'ACTIVE';
+  position.orderOdds[result.orderHash] = roundedOdds;
+  position.orderLevels[result.orderHash] = levelIndex;
+  position.orderSizes[result.orderHash] = postedSize;
+  
+  position.logger.info(`Level ${levelIndex + 1} order posted successfully`, {
+    orderHash: result.orderHash,
+    impliedOdds: roundedOdds,
+    rawTargetOdds: rawOdds,
+    roundingMode,
+    pennyJumped,
+    betSize: postedSize,
+    isIcebergClip: postedSize < level.remainingAmount && position.clipSize > 0,
+    isShrunkByLimit: postedSize < betSize
+  });
+  
+  return result;
+}
+
+/**
+ * Posts a level's next iceberg clip once its current clip has been completely filled
+ * Runs inside the position's operation queue as part of fill handling.
+ * @param {Object} position - Position object
+ * @param {number} levelIndex - Index of the level
+ * @returns {Promise<void>}
+ */
+async function reloadClip(position, levelIndex) {
+  const level = position.levels[levelIndex];
+  
+  position.logger.info(`Level ${levelIndex + 1} clip ${level.activeOrderHash} filled`);
+  position.pastOrderHashes.push(level.activeOrderHash);
+  level.activeOrderHash = null;
+  level.orderStatus = 'FILLED';
+  
+  if (level.remainingAmount > 0 && position.status === 'ACTIVE' && 
+      !position.operations.isRiskThresholdBreached) {
+    try {
+      position.logger.info(`Reloading level ${levelIndex + 1} with the next clip`, { remainingAmount: level.remainingAmount });
+      await postLevelOrder(position, levelIndex);
+    } catch (error) {
+      position.logger.error(`Error reloading clip: ${error.message}`, { error });
+      level.orderStatus = 'ERROR';
+    }
+  }
+  
+  persistPosition(position);
 }
 
 /**
- * Checks if a position's current market conditions exceed risk thresholds
+ * Cancels a level's active order and moves it to the position's past orders
  * @param {Object} position - Position object
- * @returns {boolean} - True if thresholds are exceeded
+ * @param {Object} level - Ladder level
+ * @param {string} orderStatus - Order status to leave the level in
+ * @returns {Promise<Object>} - Cancellation result
+ */
+async function cancelLevelOrder(position, level, orderStatus) {
+  const orderHash = level.activeOrderHash;
+  
+  // Track this order for potential fills
+  trackCancelledOrder(orderHash, position.id);
+  const result = await cancelOrder(orderHash);
+  
+  position.pastOrderHashes.push(orderHash);
+  level.activeOrderHash = null;
+  level.orderStatus = orderStatus;
+  
+  return result;
+}
+
+/**
+ * Cancels every active level order of a position in one batch
+ * @param {Object} position - Position object
+ * @param {string} orderStatus - Order status to leave the levels in
+ * @returns {Promise<void>}
+ */
+async function cancelPositionOrders(position, orderStatus) {
+  const activeLevels = position.levels.filter(level => level.activeOrderHash);
+  
+  if (activeLevels.length === 0) {
+    return;
+  }
+  
+  const orderHashes = activeLevels.map(level => level.activeOrderHash);
+  position.logger.info('Cancelling active orders', { orderHashes });
+  
+  // Track these orders for potential fills
+  for (const orderHash of orderHashes) {
+    trackCancelledOrder(orderHash, position.id);
+  }
+  
+  await cancelOrders(orderHashes);
+  
+  for (const level of activeLevels) {
+    position.pastOrderHashes.push(level.activeOrderHash);
+    level.activeOrderHash = null;
+    level.orderStatus = orderStatus;
+  }
+}
+
+/**
+ * Gets the thresholds a risk-paused position's market must return within before it resumes
+ * Positions without their own resume thresholds resume a margin inside their pause thresholds.
+ * @param {Object} position - Position object
+ * @returns {Object} - { resumeVig, resumeLiquidity }
+ */
+export function getResumeThresholds(position) {
+  return {
+    resumeVig: position.resumeVig ?? position.maxVig - RISK_HYSTERESIS.VIG_RESUME_MARGIN,
+    resumeLiquidity: position.resumeLiquidity ?? position.minLiquidity * (1 + RISK_HYSTERESIS.LIQUIDITY_RESUME_MARGIN / 100)
+  };
+}
+
+/**
+ * Checks a position's current market conditions against its risk thresholds
+ * A position that is not breached is checked against its pause thresholds; once breached it
+ * stays breached until the market is back within its resume thresholds and the cool-down has passed,
+ * so a book hovering around a threshold doesn't flip the position on every update.
+ * @param {Object} position - Position object
+ * @returns {string|null} - Why the thresholds are (still) exceeded, or null if they are not
  */
 function checkRiskThresholds(position) {
+  const isBreached = position.operations.isRiskThresholdBreached;
+  const { resumeVig, resumeLiquidity } = getResumeThresholds(position);
+  const vigThreshold = isBreached ? resumeVig : position.maxVig;
+  const liquidityThreshold = isBreached ? resumeLiquidity : position.minLiquidity;
+  const thresholdName = isBreached ? 'resume' : 'pause';
+  
   // Check if vig exceeds threshold
-  if (position.currentVig !== null && position.currentVig > position.maxVig) {
-    position.logger.warn(`Vig exceeds threshold: ${position.currentVig}% > ${position.maxVig}%`);
-    return true;
+  if (position.currentVig !== null && position.currentVig > vigThreshold) {
+    return `Vig ${position.currentVig.toFixed(2)}% above ${thresholdName} threshold ${vigThreshold.toFixed(2)}%`;
   }
   
   // Check if liquidity is below threshold for either outcome
-  if (position.currentLiquidity.outcome1 !== null && 
-      position.currentLiquidity.outcome1 < position.minLiquidity) {
-    position.logger.warn(`Liquidity for outcome 1 below threshold: ${position.currentLiquidity.outcome1} < ${position.minLiquidity}`);
-    return true;
+  for (const outcome of [1, 2]) {
+    const liquidity = position.currentLiquidity[`outcome${outcome}`];
+    
+    if (liquidity !== null && liquidity < liquidityThreshold) {
+      return `Liquidity for outcome ${outcome} ${liquidity.toFixed(2)} USDC below ${thresholdName} threshold ${liquidityThreshold.toFixed(2)} USDC`;
+    }
   }
   
-  if (position.currentLiquidity.outcome2 !== null && 
-      position.currentLiquidity.outcome2 < position.minLiquidity) {
-    position.logger.warn(`Liquidity for outcome 2 below threshold: ${position.currentLiquidity.outcome2} < ${position.minLiquidity}`);
-    return true;
+  // Market is back within the resume thresholds, but stays paused until the cool-down has passed
+  const cooldownRemaining = getRiskCooldownRemaining(position);
+  
+  if (cooldownRemaining > 0) {
+    return `Risk cool-down has ${Math.ceil(cooldownRemaining / 1000)}s left`;
   }
   
-  return false;
+  return null;
 }
 
 /**
- * Applies premium to implied odds
- * @param {number} impliedOdds - Implied odds (0-1)
- * @param {number} premium - Premium percentage
- * @returns {number} - Implied odds with premium applied
+ * Gets how long a risk-paused position must still stay paused, however the market looks
+ * @param {Object} position - Position object
+ * @returns {number} - Milliseconds left of the cool-down, 0 or less once it has passed or if not paused
  */
-function applyPremium(impliedOdds, premium) {
-  // Convert premium percentage to decimal (e.g., 10% -> 0.1)
-  const premiumDecimal = premium / 100;
+function getRiskCooldownRemaining(position) {
+  if (!position.operations.isRiskThresholdBreached || !position.operations.riskPausedAt) {
+    return 0;
+  }
+  
+  return position.operations.riskPausedAt + (position.riskCooldownMs ?? RISK_HYSTERESIS.COOLDOWN_MS) - Date.now();
+}
+
+/**
+ * Re-evaluates a position's risk thresholds, recording any change of risk state on its risk timeline
+ * @param {Object} position - Position object
+ * @returns {Object} - { isBreached, changed, reason }; reason says why the thresholds are exceeded, or is null
+ */
+function evaluateRiskState(position) {
+  const reason = checkRiskThresholds(position);
+  const isBreached = reason !== null;
+  const changed = isBreached !== position.operations.isRiskThresholdBreached;
+  
+  if (changed) {
+    const { resumeVig, resumeLiquidity } = getResumeThresholds(position);
+    
+    position.operations.isRiskThresholdBreached = isBreached;
+    position.operations.riskPausedAt = isBreached ? Date.now() : null;
+    position.riskTimeline = [
+      ...(position.riskTimeline || []),
+      {
+        timestamp: new Date().toISOString(),
+        state: isBreached ? 'PAUSED' : 'RESUMED',
+        reason: reason ?? `Vig and liquidity back within resume thresholds (vig <= ${resumeVig.toFixed(2)}%, liquidity >= ${resumeLiquidity.toFixed(2)} USDC)`,
+        vig: position.currentVig,
+        liquidity: { ...position.currentLiquidity }
+      }
+    ].slice(-RISK_HYSTERESIS.MAX_TIMELINE_ENTRIES);
+    persistPosition(position);
+  }
   
-  // Apply premium: multiply base odds by (1 - premium)
-  return impliedOdds * (1 - premiumDecimal);
+  return { isBreached, changed, reason };
+}
+
+/**
+ * Checks whether any level with stake left to fill would quote outside the position's odds band
+ * @param {Object} position - Position object
+ * @returns {string|null} - Reason for the first breach, or null if every target is inside the band
+ */
+function checkOddsBand(position) {
+  if (!position.minDecimalOdds && !position.maxDecimalOdds) {
+    return null;
+  }
+  
+  for (const [levelIndex, level] of position.levels.entries()) {
+    if (level.remainingAmount <= 0) {
+      continue;
+    }
+    
+    // A level the strategy declines to quote posts nothing, so can't breach the band
+    const target = resolveOrderOdds(position, level);
+    const bandViolation = target ? getOddsBandViolation(position, levelIndex, target.roundedOdds) : null;
+    
+    if (bandViolation) {
+      return bandViolation;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Checks a level's target maker odds against the position's min/max decimal odds
+ * @param {Object} position - Position object
+ * @param {number} levelIndex - Index of the level
+ * @param {number} impliedOdds - Rounded target maker implied odds (0-1)
+ * @returns {string|null} - Reason the target is outside the band, or null if it is inside
+ */
+function getOddsBandViolation(position, levelIndex, impliedOdds) {
+  const decimalOdds = 1 / impliedOdds;
+  
+  if (position.minDecimalOdds && decimalOdds < position.minDecimalOdds - ODDS.EPSILON) {
+    return `Level ${levelIndex + 1} target ${decimalOdds.toFixed(2)} is below the minimum odds ${position.minDecimalOdds.toFixed(2)}`;
+  }
+  
+  if (position.maxDecimalOdds && decimalOdds > position.maxDecimalOdds + ODDS.EPSILON) {
+    return `Level ${levelIndex + 1} target ${decimalOdds.toFixed(2)} is above the maximum odds ${position.maxDecimalOdds.toFixed(2)}`;
+  }
+  
+  return null;
+}
+
+/**
+ * Re-derives a position's fill totals and splits them across its ladder levels
+ * @param {Object} position - Position object
+ * @returns {void}
+ */
+function recalculateFillTotals(position) {
+  // A market-making side quotes its share of the pair's headroom; the pair exposure limit
+  // covers a side reposting before the other has been resized
+  const sizeCap = position.positionType === 'MARKET_MAKING'
+    ? calculateSideShare(position.maxExposure, getTotalFilled(position) + getLinkedFillAmount(position))
+    : Infinity;
+  
+  allocateFills(position, sizeCap);
+}
+
+/**
+ * Checks whether a position has used up its size; for a market-making side, the pair's combined exposure
+ * @param {Object} position - Position object
+ * @returns {boolean} - True if the position is filled
+ */
+function isPositionFilled(position) {
+  if (position.positionType === 'MARKET_MAKING') {
+    return isPairFilled(position, getLinkedFillAmount(position));
+  }
+  
+  return position.fillPercentage >= FILL_COMPLETION_THRESHOLD * 100;
+}
+
+/**
+ * Gets the other side of a market-making pair, whether still active or already settled
+ * @param {Object} position - Position object
+ * @returns {Object|null} - Linked position, or null if there is none
+ */
+function getLinkedPosition(position) {
+  if (!position.linkedPositionId) {
+    return null;
+  }
+  
+  return positions.get(position.linkedPositionId) || positionHistory.get(position.linkedPositionId) || null;
+}
+
+/**
+ * Gets the stake filled on the other side of a market-making pair
+ * @param {Object} position - Position object
+ * @returns {number} - Linked fill amount in USDC
+ */
+function getLinkedFillAmount(position) {
+  const linkedPosition = getLinkedPosition(position);
+  return linkedPosition ? linkedPosition.fillAmount || 0 : 0;
+}
+
+/**
+ * Gets how far a market-making pair's inventory leans away from this side.
+ * Positive when the other side has more fills, so this side should tighten to rebalance.
+ * @param {Object} position - Position object
+ * @returns {number} - Imbalance as a fraction of the combined max exposure (-1 to 1)
+ */
+export function getInventoryImbalance(position) {
+  return calculateInventoryImbalance(position, getLinkedFillAmount(position));
+}
+
+/**
+ * Queues a resize and reprice of the other side of a market-making pair after this side filled.
+ * Not awaited, so the two sides' operation queues never wait on each other.
+ * @param {Object} position - Position that was filled
+ * @returns {void}
+ */
+function rebalanceLinkedPosition(position) {
+  let linkedPosition = positions.get(position.linkedPositionId);
+  
+  if (!linkedPosition) {
+    return;
+  }
+  
+  enqueueOperation(linkedPosition.id, async () => {
+    // Settings updates replace the position object, so work on whatever is current by now
+    linkedPosition = positions.get(linkedPosition.id);
+    
+    if (!linkedPosition) {
+      return;
+    }
+    
+    recalculateFillTotals(linkedPosition);
+    
+    if (isPositionFilled(linkedPosition) && [...TRADING_STATUSES, 'CIRCUIT_PAUSED'].includes(linkedPosition.status)) {
+      linkedPosition.logger.info('Market-making pair reached its combined max exposure, marking as complete');
+      linkedPosition.status = 'COMPLETED';
+      await cancelPositionOrders(linkedPosition, 'CANCELLED');
+      persistPosition(linkedPosition);
+      return;
+    }
+    
+    if (linkedPosition.status !== 'ACTIVE' || linkedPosition.operations.isRiskThresholdBreached) {
+      persistPosition(linkedPosition);
+      return;
+    }
+    
+    // Levels whose skewed target moved, or whose live order is now larger than the combined exposure allows
+    const levelsToUpdate = getLevelsToReprice(linkedPosition);
+    
+    linkedPosition.levels.forEach((level, levelIndex) => {
+      const orderSize = linkedPosition.orderSizes[level.activeOrderHash];
+      
+      if (level.activeOrderHash && orderSize > level.remainingAmount && !levelsToUpdate.includes(levelIndex)) {
+        levelsToUpdate.push(levelIndex);
+      }
+    });
+    
+    linkedPosition.logger.info('Other side of market-making pair filled, rebalancing', {
+      linkedFillAmount: position.fillAmount,
+      inventoryImbalance: getInventoryImbalance(linkedPosition),
+      remainingAmount: linkedPosition.remainingAmount,
+      levels: levelsToUpdate.map(levelIndex => levelIndex + 1)
+    });
+    
+    if (levelsToUpdate.length > 0) {
+      await updateOrderForPosition(linkedPosition, levelsToUpdate);
+    } else {
+      persistPosition(linkedPosition);
+    }
+  }).catch(error => {
+    linkedPosition.logger.error(`Error rebalancing market-making side: ${error.message}`, { error });
+  });
+}
+
+/**
+ * Resolves the maker odds a position's level should quote at, before and after ladder rounding
+ * @param {Object} position - Position object
+ * @param {Object} level - Ladder level; its premium, if set, overrides the strategy's
+ * @returns {Object|null} - { rawOdds, roundedOdds, roundingMode }, or null if the strategy declines to quote
+ */
+function resolveOrderOdds(position, level) {
+  const strategyOdds = calculateTargetOdds(position, level.premium !== null ? { premium: level.premium } : {});
+  
+  if (strategyOdds === null) {
+    return null;
+  }
+  
+  const rawOdds = applyInventorySkew(position, strategyOdds, getLinkedFillAmount(position));
+  
+  // Round onto the odds ladder in the position's chosen direction
+  const roundingMode = position.roundingMode || ODDS.DEFAULT_ROUNDING_MODE;
+  const targetOdds = roundToStep(rawOdds, roundingMode);
+  
+  // Only the best-priced (first) level competes for the top of the book
+  const roundedOdds = level === position.levels[0] ? applyPennyJump(position, targetOdds) : targetOdds;
+  
+  return { rawOdds, roundedOdds, roundingMode, pennyJumped: roundedOdds !== targetOdds };
 }
 
 /**
@@ -557,31 +1796,55 @@ function applyPremium(impliedOdds, premium) {
 async function checkAndUpdateOrder(positionId) {
   const position = positions.get(positionId);
   
-  if (!position || position.status !== 'ACTIVE' || !position.activeOrderHash) {
+  // A widened band or new pricing may let a band-paused position resume
+  if (position && position.status === 'BAND_PAUSED') {
+    await handleOddsBand(position);
     return;
   }
   
+  // Levels without an order (not yet posted, declined by the strategy or blocked by limits) get another chance with the new settings
+  if (!position || position.status !== 'ACTIVE' || 
+      !position.levels.some(level => level.activeOrderHash || ['NONE', ...RETRYABLE_ORDER_STATUSES].includes(level.orderStatus))) {
+    return;
+  }
+  
+  const riskState = evaluateRiskState(position);
+  
   // If risk thresholds are breached, don't update the order
-  if (checkRiskThresholds(position)) {
-    position.operations.isRiskThresholdBreached = true;
-    position.logger.warn('Risk thresholds exceeded after settings update, cancelling orders');
-    await handleRiskThresholdBreach(position);
+  if (riskState.isBreached) {
+    position.logger.warn(`Risk thresholds exceeded after settings update, cancelling orders: ${riskState.reason}`);
+    await handleRiskThresholdBreach(position, riskState.reason);
     return;
   }
   
   // If not breached but previously was, handle resolution
-  if (position.operations.isRiskThresholdBreached) {
-    position.operations.isRiskThresholdBreached = false;
+  if (riskState.changed) {
     position.logger.info('Risk thresholds now OK after settings update');
     await handleRiskThresholdResolution(position);
     return;
   }
   
+  // A narrowed band or new pricing may take the targets outside the band
+  if (await handleOddsBand(position)) {
+    return;
+  }
+  
   // Otherwise, update the order with new settings
   position.logger.info('Settings changed, updating order');
   await updateOrderForPosition(position);
 }
 
+/**
+ * Writes a position through to the durable position store
+ * @param {Object} position - Position object
+ * @returns {void}
+ */
+function persistPosition(position) {
+  if (!savePosition(position)) {
+    position.logger.error('Failed to persist position to disk');
+  }
+}
+
 /**
  * Enqueues an operation for a position to prevent race conditions
  * @param {string} positionId - Position ID
@@ -631,6 +1894,114 @@ async function enqueueOperation(positionId, operation) {
   });
 }
 
+/**
+ * Pauses every trading position for the circuit breaker
+ * Runs outside the operation queues so the kill switch takes effect immediately; queued
+ * operations see the paused status and post nothing.
+ * @param {string} reason - Why the positions are paused
+ * @returns {void}
+ */
+export function pauseAllPositions(reason) {
+  for (const position of positions.values()) {
+    if (!TRADING_STATUSES.includes(position.status)) {
+      continue;
+    }
+    
+    position.logger.warn(`Pausing position: ${reason}`, { previousStatus: position.status });
+    position.status = 'CIRCUIT_PAUSED';
+    position.pauseReason = reason;
+    clearScheduledReprice(position.id);
+    persistPosition(position);
+  }
+}
+
+/**
+ * Resumes every position paused by the circuit breaker, re-checking its risk thresholds
+ * and odds band and reposting its orders against the current market
+ * @returns {Promise<void>}
+ */
+export async function resumePausedPositions() {
+  for (const { id: positionId } of Array.from(positions.values())) {
+    await enqueueOperation(positionId, async () => {
+      const position = positions.get(positionId);
+      
+      if (!position || position.status !== 'CIRCUIT_PAUSED') {
+        return;
+      }
+      
+      position.logger.info('Circuit breaker acknowledged, resuming position');
+      await resumeTrading(position);
+    });
+  }
+}
+
+/**
+ * Pauses a position whose market data has gone stale, cancelling its orders until fresh data arrives
+ * @param {string} positionId - Position ID
+ * @param {string} reason - Why the market is considered stale
+ * @returns {Promise<void>}
+ */
+export async function pauseStalePosition(positionId, reason) {
+  if (!positions.has(positionId)) {
+    return;
+  }
+  
+  return await enqueueOperation(positionId, async () => {
+    const position = positions.get(positionId);
+    
+    if (!position || !TRADING_STATUSES.includes(position.status)) {
+      return;
+    }
+    
+    if (position.status === 'STALE_PAUSED') {
+      position.pauseReason = reason;
+      persistPosition(position);
+      return;
+    }
+    
+    try {
+      position.logger.warn(`${reason}, pausing position and cancelling orders`, { previousStatus: position.status });
+      position.status = 'STALE_PAUSED';
+      position.pauseReason = reason;
+      clearScheduledReprice(positionId);
+      
+      await cancelPositionOrders(position, 'CANCELLED_STALE');
+      persistPosition(position);
+    } catch (error) {
+      position.logger.error(`Error pausing stale position: ${error.message}`, { error });
+    }
+  });
+}
+
+/**
+ * Returns a paused position to trading, re-checking its risk thresholds and odds band
+ * and reposting its orders against the current market
+ * @param {Object} position - Position object
+ * @returns {Promise<void>}
+ */
+async function resumeTrading(position) {
+  try {
+    position.status = 'ACTIVE';
+    position.pauseReason = null;
+    
+    const riskState = evaluateRiskState(position);
+    
+    if (riskState.isBreached) {
+      await handleRiskThresholdBreach(position, riskState.reason);
+      return;
+    }
+    
+    if (await handleOddsBand(position)) {
+      return;
+    }
+    
+    lastOrderUpdateTime.set(position.id, Date.now());
+    await updateOrderForPosition(position);
+  } catch (error) {
+    position.logger.error(`Error resuming position: ${error.message}`, { error });
+  }
+}
+
 /**
  * Cancels all active orders for all positions
  * @returns {Promise<Array>} - Array of results
@@ -640,9 +2011,9 @@ export async function cancelAllPositionOrders() {
   
   // Collect all active order hashes
   for (const position of positions.values()) {
-    if (position.activeOrderHash) {
-      orderHashes.push(position.activeOrderHash);
-      position.logger.info(`Queuing order ${position.activeOrderHash} for cancellation`);
+    for (const orderHash of getActiveOrderHashes(position)) {
+      orderHashes.push(orderHash);
+      position.logger.info(`Queuing order ${orderHash} for cancellation`);
     }
   }
   
@@ -657,11 +2028,21 @@ export async function cancelAllPositionOrders() {
     
     // Update position states
     for (const position of positions.values()) {
-      if (position.activeOrderHash && orderHashes.includes(position.activeOrderHash)) {
-        position.activeOrderHash = null;
-        position.orderStatus = 'CANCELLED';
-        position.logger.info('Order cancelled in batch operation');
+      const cancelledLevels = position.levels.filter(level => 
+        level.activeOrderHash && orderHashes.includes(level.activeOrderHash));
+      
+      if (cancelledLevels.length === 0) {
+        continue;
+      }
+      
+      for (const level of cancelledLevels) {
+        position.pastOrderHashes.push(level.activeOrderHash);
+        level.activeOrderHash = null;
+        level.orderStatus = 'CANCELLED';
       }
+      
+      position.logger.info('Orders cancelled in batch operation');
+      persistPosition(position);
     }
     
     return results;
@@ -669,4 +2050,4 @@ export async function cancelAllPositionOrders() {
     logger.error('Error cancelling all position orders:', error);
     throw error;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,124 @@
+// src/core/positionStore.js - Durable on-disk storage for position state
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { logger } from '../utils/logger.js';
+import { STORAGE } from '../config/constants.js';
+
+// Resolve data file paths
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const dataDir = path.join(__dirname, '../..', STORAGE.DATA_DIR);
+const positionsFile = path.join(dataDir, STORAGE.POSITIONS_FILE);
+
+// Runtime-only fields that must never be written to disk
+const NON_PERSISTED_FIELDS = ['logger'];
+
+/**
+ * Ensures the data directory exists
+ */
+function ensureDataDir() {
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+}
+
+/**
+ * Reads the full position store from disk
+ * @returns {Object} - Map-like object of positionId -> serialized position
+ */
+function readStore() {
+  if (!fs.existsSync(positionsFile)) {
+    return {};
+  }
+
+  try {
+    const contents = fs.readFileSync(positionsFile, 'utf8');
+    return contents.trim() ? JSON.parse(contents) : {};
+  } catch (error) {
+    logger.error(`Error reading position store ${positionsFile}: ${error.message}`, { error });
+    throw error;
+  }
+}
+
+/**
+ * Writes the full position store to disk atomically (write to temp file, then rename)
+ * @param {Object} store - Map-like object of positionId -> serialized position
+ */
+function writeStore(store) {
+  ensureDataDir();
+
+  const tempFile = `${positionsFile}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(store, null, 2));
+  fs.renameSync(tempFile, positionsFile);
+}
+
+/**
+ * Strips runtime-only fields from a position so it can be serialized
+ * @param {Object} position - Position object
+ * @returns {Object} - Plain serializable position
+ */
+function serializePosition(position) {
+  const serialized = { ...position };
+
+  for (const field of NON_PERSISTED_FIELDS) {
+    delete serialized[field];
+  }
+
+  return serialized;
+}
+
+/**
+ * Saves (inserts or replaces) a position in the store
+ * @param {Object} position - Position object
+ * @returns {boolean} - True if the position was written
+ */
+export function savePosition(position) {
+  try {
+    const store = readStore();
+    store[position.id] = serializePosition(position);
+    writeStore(store);
+    return true;
+  } catch (error) {
+    logger.error(`Error saving position ${position.id}: ${error.message}`, { error });
+    return false;
+  }
+}
+
+/**
+ * Removes a position from the store
+ * @param {string} positionId - Position ID
+ * @returns {boolean} - True if the position was removed
+ */
+export function deletePosition(positionId) {
+  try {
+    const store = readStore();
+
+    if (!store[positionId]) {
+      return false;
+    }
+
+    delete store[positionId];
+    writeStore(store);
+    return true;
+  } catch (error) {
+    logger.error(`Error deleting position ${positionId}: ${error.message}`, { error });
+    return false;
+  }
+}
+
+/**
+ * Loads all persisted positions
+ * @returns {Array<Object>} - Array of serialized positions
+ */
+export function loadPositions() {
+  try {
+    const store = readStore();
+    const positions = Object.values(store);
+    logger.info(`Loaded ${positions.length} positions from ${positionsFile}`);
+    return positions;
+  } catch (error) {
+    logger.error(`Error loading positions: ${error.message}`, { error });
+    return [];
+  }
+}
@@ -0,0 +1,204 @@
+// src/core/pricingStrategies.js - Pluggable pricing strategies for maker order odds
+import { logger } from '../utils/logger.js';
+import { PRICING } from '../config/constants.js';
+
+/**
+ * A pricing strategy turns market state into the maker implied odds a position should quote.
+ *
+ * @typedef {Object} PricingStrategy
+ * @property {string} name - Unique identifier referenced by positions (position.pricingStrategy)
+ * @property {string} label - Human-readable name for the CLI
+ * @property {Object} defaultParams - Default parameters, overridden by position.pricingParams
+ * @property {Function} calculateTargetOdds - ({ metrics, position, params, timeToKickoffMs }) => number|null
+ *   Returns the unrounded target maker implied odds (0-1), or null to not quote at all.
+ */
+
+// Registered strategies by name
+const strategies = new Map();
+
+export const DEFAULT_PRICING_STRATEGY = 'FIXED_PREMIUM';
+
+/**
+ * Registers a pricing strategy
+ * @param {PricingStrategy} strategy - Strategy definition
+ * @returns {void}
+ */
+export function registerPricingStrategy(strategy) {
+  if (!strategy || !strategy.name || typeof strategy.calculateTargetOdds !== 'function') {
+    throw new Error('A pricing strategy needs a name and a calculateTargetOdds function');
+  }
+
+  if (strategies.has(strategy.name)) {
+    logger.warn(`Replacing existing pricing strategy: ${strategy.name}`);
+  }
+
+  strategies.set(strategy.name, {
+    label: strategy.name,
+    defaultParams: {},
+    ...strategy
+  });
+}
+
+/**
+ * Gets a registered pricing strategy
+ * @param {string} name - Strategy name
+ * @returns {PricingStrategy|null} - The strategy or null if not registered
+ */
+export function getPricingStrategy(name) {
+  return strategies.get(name) || null;
+}
+
+/**
+ * Lists all registered pricing strategies
+ * @returns {Array<PricingStrategy>} - Registered strategies
+ */
+export function listPricingStrategies() {
+  return Array.from(strategies.values());
+}
+
+/**
+ * Calculates the target maker odds for a position using its configured strategy
+ * @param {Object} position - Position object
+ * @param {Object} [paramOverrides] - Parameters that take precedence over the position's own
+ * @returns {number|null} - Unrounded target maker implied odds, or null to not quote
+ */
+export function calculateTargetOdds(position, paramOverrides = {}) {
+  const strategyName = position.pricingStrategy || DEFAULT_PRICING_STRATEGY;
+  const strategy = getPricingStrategy(strategyName);
+
+  if (!strategy) {
+    throw new Error(`Unknown pricing strategy: ${strategyName}`);
+  }
+
+  const params = {
+    ...strategy.defaultParams,
+    ...position.pricingParams,
+    ...paramOverrides
+  };
+
+  const timeToKickoffMs = getTimeToKickoff(position);
+
+  const targetOdds = strategy.calculateTargetOdds({
+    metrics: position.marketMetrics || null,
+    position,
+    params,
+    timeToKickoffMs
+  });
+
+  if (targetOdds === null || targetOdds === undefined || !Number.isFinite(targetOdds) || targetOdds <= 0) {
+    return null;
+  }
+
+  return targetOdds;
+}
+
+/**
+ * Gets the time remaining until a position's fixture starts
+ * @param {Object} position - Position object
+ * @returns {number|null} - Milliseconds until kickoff (negative once started), or null if unknown
+ */
+export function getTimeToKickoff(position) {
+  return position.startDate
+    ? new Date(position.startDate).getTime() - Date.now()
+    : null;
+}
+
+/**
+ * Gets the premium a schedule prescribes for a time to kickoff.
+ * Points are { minutesBeforeStart, premium }; between points the premium is interpolated
+ * linearly, and outside them it holds at the nearest point.
+ * @param {Array<Object>|null} schedule - Premium schedule
+ * @param {number|null} timeToKickoffMs - Milliseconds until kickoff
+ * @returns {number|null} - Scheduled premium percentage, or null if there is no schedule
+ */
+export function getScheduledPremium(schedule, timeToKickoffMs) {
+  if (!schedule || schedule.length === 0 || timeToKickoffMs === null) {
+    return null;
+  }
+
+  const points = [...schedule].sort((a, b) => b.minutesBeforeStart - a.minutesBeforeStart);
+  const minutesBeforeStart = timeToKickoffMs / 60000;
+
+  if (minutesBeforeStart >= points[0].minutesBeforeStart) {
+    return points[0].premium;
+  }
+
+  for (let i = 1; i < points.length; i++) {
+    const earlier = points[i - 1];
+    const later = points[i];
+
+    if (minutesBeforeStart >= later.minutesBeforeStart) {
+      const progress = (earlier.minutesBeforeStart - minutesBeforeStart) /
+        (earlier.minutesBeforeStart - later.minutesBeforeStart);
+      return earlier.premium + (later.premium - earlier.premium) * progress;
+    }
+  }
+
+  return points[points.length - 1].premium;
+}
+
+/**
+ * Gets the premium currently in force for a position, following its schedule if it has one
+ * @param {Object} position - Position object
+ * @returns {number} - Premium percentage
+ */
+export function getEffectivePremium(position) {
+  return getScheduledPremium(position.premiumSchedule, getTimeToKickoff(position)) ?? position.premium;
+}
+
+/**
+ * Gets the best taker odds on a position's outcome, preferring the full orderbook metrics
+ * @param {Object|null} metrics - Orderbook metrics
+ * @param {Object} position - Position object
+ * @returns {number|null} - Best taker implied odds or null if there are none
+ */
+function getBestTakerOdds(metrics, position) {
+  if (metrics && metrics.bestTakerOdds) {
+    return metrics.bestTakerOdds[position.outcomeIndex] ?? null;
+  }
+
+  return position.bestTakerOdds ?? null;
+}
+
+// Fixed premium: multiply the best taker odds on our outcome by (1 - premium), following the premium schedule if set
+registerPricingStrategy({
+  name: 'FIXED_PREMIUM',
+  label: 'Fixed premium off best taker odds',
+  defaultParams: {},
+  calculateTargetOdds({ metrics, position, params, timeToKickoffMs }) {
+    const bestTakerOdds = getBestTakerOdds(metrics, position);
+
+    if (bestTakerOdds === null) {
+      return null;
+    }
+
+    // Convert premium percentage to decimal (e.g., 10% -> 0.1)
+    const premium = params.premium ??
+      getScheduledPremium(position.premiumSchedule, timeToKickoffMs) ??
+      position.premium;
+    return bestTakerOdds * (1 - premium / 100);
+  }
+});
+
+// Fair value: remove the vig from both sides' best taker odds and quote at fair value plus an edge
+registerPricingStrategy({
+  name: 'FAIR_VALUE',
+  label: 'Devigged fair value plus edge',
+  defaultParams: {
+    devigMethod: PRICING.DEFAULT_DEVIG_METHOD,
+    edge: PRICING.DEFAULT_EDGE
+  },
+  calculateTargetOdds({ metrics, position, params }) {
+    const fairOdds = metrics?.fairOdds?.[params.devigMethod];
+
+    if (!fairOdds || !fairOdds[position.outcomeIndex]) {
+      return null;
+    }
+
+    // A ladder level's premium sets that level's edge
+    const edge = params.premium ?? params.edge;
+
+    // Backing at odds q with fair probability p returns p / q - 1 in expectation, so q = p / (1 + edge)
+    return fairOdds[position.outcomeIndex] / (1 + edge / 100);
+  }
+});
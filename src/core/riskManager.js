@@ -0,0 +1,227 @@
+// src/core/riskManager.js - Portfolio exposure limits across positions per market-making pair, fixture, league, sport and bankroll
+import { getAllPositions, getPosition } from './positionManager.js';
+import { RISK_LIMITS } from '../config/constants.js';
+
+/**
+ * A limit caps the combined exposure of every position that shares its scope.
+ *
+ * @typedef {Object} LimitScope
+ * @property {string} scope - Scope identifier
+ * @property {string} label - Human-readable name for the CLI
+ * @property {Function} group - (position) => value shared by every position under the same limit, or null if the limit doesn't apply
+ * @property {Function} limit - (position) => max exposure in USDC for the position's group, or null for no limit
+ * @property {Function} name - (position) => string naming the group a position belongs to
+ */
+
+// Limits from narrowest to broadest
+const LIMIT_SCOPES = [
+  {
+    // Both sides' fills and open orders together never exceed the pair's combined max exposure
+    scope: 'PAIR',
+    label: 'Market-making pair',
+    group: position => position.positionType === 'MARKET_MAKING' && position.linkedPositionId
+      ? [position.id, position.linkedPositionId].sort().join(':')
+      : null,
+    limit: position => position.maxExposure ?? null,
+    name: position => `${position.teamOneName} vs ${position.teamTwoName}`
+  },
+  {
+    scope: 'FIXTURE',
+    label: 'Fixture',
+    group: position => position.eventId ?? null,
+    limit: () => RISK_LIMITS.MAX_FIXTURE_EXPOSURE,
+    name: position => `${position.teamOneName} vs ${position.teamTwoName}`
+  },
+  {
+    scope: 'LEAGUE',
+    label: 'League',
+    group: position => position.leagueId ?? null,
+    limit: () => RISK_LIMITS.MAX_LEAGUE_EXPOSURE,
+    name: position => position.leagueName || `League ${position.leagueId}`
+  },
+  {
+    scope: 'SPORT',
+    label: 'Sport',
+    group: position => position.sportId ?? null,
+    limit: () => RISK_LIMITS.MAX_SPORT_EXPOSURE,
+    name: position => position.sportName || `Sport ${position.sportId}`
+  },
+  {
+    scope: 'BANKROLL',
+    label: 'Bankroll',
+    group: () => 'ALL',
+    limit: () => RISK_LIMITS.BANKROLL,
+    name: () => 'All positions'
+  }
+];
+
+// Order sizes being posted right now, counted against the limits until posting finishes
+const pendingOrders = new Map();
+let nextReservationId = 1;
+
+/**
+ * Gets a position's exposure: its filled stake plus the unfilled size of its live orders
+ * @param {Object} position - Position object
+ * @returns {number} - Exposure in USDC
+ */
+export function getPositionExposure(position) {
+  const openStake = (position.levels || []).reduce((sum, level) => {
+    if (!level.activeOrderHash) {
+      return sum;
+    }
+
+    const orderSize = position.orderSizes?.[level.activeOrderHash] ?? level.remainingAmount;
+    const orderFill = position.orderFills?.[level.activeOrderHash] || 0;
+    return sum + Math.max(orderSize - orderFill, 0);
+  }, 0);
+
+  return (position.fillAmount || 0) + openStake;
+}
+
+/**
+ * Checks whether a position falls under a limit's group
+ * @param {LimitScope} limitScope - Limit scope
+ * @param {Object} groupPosition - Any position in the group
+ * @param {Object} position - Position to check
+ * @returns {boolean} - True if the position counts towards the group's limit
+ */
+function isInGroup(limitScope, groupPosition, position) {
+  return limitScope.group(position) === limitScope.group(groupPosition);
+}
+
+/**
+ * Gets the combined exposure of a limit's group, including orders still being posted
+ * @param {LimitScope} limitScope - Limit scope
+ * @param {Object} groupPosition - Any position in the group
+ * @returns {number} - Exposure in USDC
+ */
+function getGroupExposure(limitScope, groupPosition) {
+  const positionExposure = getAllPositions()
+    .filter(position => isInGroup(limitScope, groupPosition, position))
+    .reduce((sum, position) => sum + getPositionExposure(position), 0);
+
+  const pendingExposure = Array.from(pendingOrders.values())
+    .filter(pending => isInGroup(limitScope, groupPosition, pending.position))
+    .reduce((sum, pending) => sum + pending.betSizeUSDC, 0);
+
+  return positionExposure + pendingExposure;
+}
+
+/**
+ * Builds a limit's utilisation for the group a position belongs to
+ * @param {LimitScope} limitScope - Limit scope
+ * @param {Object} position - Any position in the group
+ * @returns {Object} - { scope, label, name, exposure, limit, utilisation }
+ */
+function buildUtilisation(limitScope, position) {
+  const exposure = getGroupExposure(limitScope, position);
+  const limit = limitScope.limit(position);
+
+  return {
+    scope: limitScope.scope,
+    label: limitScope.label,
+    name: limitScope.name(position),
+    exposure,
+    limit,
+    utilisation: limit > 0 ? exposure / limit * 100 : 100
+  };
+}
+
+/**
+ * Gets the configured limits that apply to a position
+ * Positions created before they carried fixture, league and sport IDs only fall under the bankroll.
+ * @param {Object} position - Position object
+ * @returns {Array<LimitScope>} - Applicable limits, narrowest first
+ */
+function getApplicableLimits(position) {
+  return LIMIT_SCOPES.filter(limitScope => limitScope.group(position) !== null && limitScope.limit(position) !== null);
+}
+
+/**
+ * Gets how much of each limit that applies to a position is used
+ * @param {Object} position - Position object
+ * @returns {Array<Object>} - Utilisation of each limit, narrowest first
+ */
+export function getLimitUtilisation(position) {
+  return getApplicableLimits(position).map(limitScope => buildUtilisation(limitScope, position));
+}
+
+/**
+ * Gets the utilisation of every limit group that has an active position in it
+ * @returns {Array<Object>} - Utilisation per group, grouped by scope from narrowest to broadest
+ */
+export function getPortfolioUtilisation() {
+  const utilisations = [];
+
+  for (const limitScope of LIMIT_SCOPES) {
+    const seenGroups = new Set();
+
+    for (const position of getAllPositions()) {
+      if (!getApplicableLimits(position).includes(limitScope)) {
+        continue;
+      }
+
+      const group = limitScope.group(position);
+
+      if (seenGroups.has(group)) {
+        continue;
+      }
+
+      seenGroups.add(group);
+      utilisations.push(buildUtilisation(limitScope, position));
+    }
+  }
+
+  return utilisations;
+}
+
+/**
+ * Reserves exposure for an order a position is about to post, shrinking it to the headroom
+ * left under the tightest limit. The reservation counts against the limits until released.
+ * @param {string} positionId - ID of the posting position
+ * @param {number} betSizeUSDC - Requested order size in USDC
+ * @returns {Object} - { betSizeUSDC, limit, reservationId }; betSizeUSDC is 0 if the order is blocked,
+ *   limit is the utilisation of the limit that shrank or blocked it (or null), and reservationId is null if nothing was reserved
+ */
+export function reserveOrderExposure(positionId, betSizeUSDC) {
+  const position = getPosition(positionId);
+
+  if (!position) {
+    return { betSizeUSDC, limit: null, reservationId: null };
+  }
+
+  let allowedSize = betSizeUSDC;
+  let bindingLimit = null;
+
+  for (const utilisation of getLimitUtilisation(position)) {
+    const headroom = Math.max(utilisation.limit - utilisation.exposure, 0);
+
+    if (headroom < allowedSize) {
+      allowedSize = headroom;
+      bindingLimit = utilisation;
+    }
+  }
+
+  if (bindingLimit) {
+    // Whole cents keep shrunk sizes within USDC precision
+    allowedSize = Math.floor(allowedSize * 100) / 100;
+
+    if (allowedSize < RISK_LIMITS.MIN_ORDER_SIZE) {
+      return { betSizeUSDC: 0, limit: bindingLimit, reservationId: null };
+    }
+  }
+
+  const reservationId = nextReservationId++;
+  pendingOrders.set(reservationId, { position, betSizeUSDC: allowedSize });
+
+  return { betSizeUSDC: allowedSize, limit: bindingLimit, reservationId };
+}
+
+/**
+ * Releases an order's reserved exposure once posting has finished, successfully or not
+ * @param {number|null} reservationId - Reservation to release
+ * @returns {void}
+ */
+export function releaseOrderExposure(reservationId) {
+  pendingOrders.delete(reservationId);
+}
@@ -0,0 +1,92 @@
+// src/core/settlementMonitor.js - Tracks market settlement and finalizes filled positions
+import { fetchMarketsByHash } from '../api/fetchSports.js';
+import { getAllPositions, settlePosition } from './positionManager.js';
+import { logger } from '../utils/logger.js';
+import { SETTLEMENT } from '../config/constants.js';
+
+let pollingInterval = null;
+let isChecking = false;
+
+/**
+ * Checks whether a market returned by /markets/find has been reported
+ * @param {Object} market - Market object
+ * @returns {boolean} - True if the market has a final outcome
+ */
+function isMarketSettled(market) {
+  return market.reportedDate !== undefined && market.reportedDate !== null &&
+         market.outcome !== undefined && market.outcome !== null;
+}
+
+/**
+ * Polls market status for markets we hold fills on and settles positions whose market is reported
+ * @returns {Promise<number>} - Number of positions settled
+ */
+export async function checkSettlements() {
+  if (isChecking) {
+    return 0;
+  }
+
+  // Only positions with matched stake have anything to settle
+  const filledPositions = getAllPositions().filter(position => position.fillAmount > 0);
+  if (filledPositions.length === 0) {
+    return 0;
+  }
+
+  isChecking = true;
+
+  try {
+    const marketHashes = [...new Set(filledPositions.map(position => position.marketHash))];
+    const markets = await fetchMarketsByHash(marketHashes);
+    const settledMarkets = new Map(
+      markets.filter(isMarketSettled).map(market => [market.marketHash, market])
+    );
+
+    let settledCount = 0;
+
+    for (const position of filledPositions) {
+      const market = settledMarkets.get(position.marketHash);
+
+      if (market && await settlePosition(position.id, market)) {
+        settledCount++;
+      }
+    }
+
+    if (settledCount > 0) {
+      logger.info(`Settled ${settledCount} positions`);
+    }
+
+    return settledCount;
+  } catch (error) {
+    logger.error(`Error checking market settlements: ${error.message}`, { error });
+    return 0;
+  } finally {
+    isChecking = false;
+  }
+}
+
+/**
+ * Starts periodic settlement checks
+ * @returns {void}
+ */
+export function startSettlementMonitoring() {
+  if (pollingInterval) {
+    return;
+  }
+
+  logger.info(`Starting settlement checks every ${SETTLEMENT.POLL_INTERVAL}ms`);
+
+  checkSettlements();
+  pollingInterval = setInterval(checkSettlements, SETTLEMENT.POLL_INTERVAL);
+}
+
+/**
+ * Stops periodic settlement checks
+ * @returns {void}
+ */
+export function stopSettlementMonitoring() {
+  if (pollingInterval) {
+    clearInterval(pollingInterval);
+    pollingInterval = null;
+    logger.info('Stopped settlement checks');
+  }
+}
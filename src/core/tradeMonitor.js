@@ -0,0 +1,167 @@
+// src/core/tradeMonitor.js - Ingests exchange trade history as the authoritative source of fills
+import { fetchAllTrades } from '../api/tradeFetcher.js';
+import { getAllPositions, findPositionByOrderHash, updateFillStatus } from './positionManager.js';
+import { logger } from '../utils/logger.js';
+import { toImpliedOdds } from '../utils/orderUtils.js';
+import { ADDRESSES, TRADES } from '../config/constants.js';
+
+// Bet time (UNIX seconds) of each trade already ingested, keyed by fill hash
+const seenFillHashes = new Map();
+
+// Total maker stake settled per order hash (base units)
+const orderTradeTotals = new Map();
+
+// Maker implied odds per order hash, as reported by its trades
+const orderTradeOdds = new Map();
+
+// Latest bet time seen, in UNIX seconds
+let lastBetTime = null;
+
+// Window still being paged through as { startDate, paginationKey }, or null when caught up
+let pendingWindow = null;
+
+let pollingInterval = null;
+let isSyncing = false;
+
+/**
+ * Determines the earliest time we need trades from
+ * @returns {number|null} - UNIX seconds, or null if there are no positions
+ */
+function getSyncStartDate() {
+  if (lastBetTime !== null) {
+    return lastBetTime - TRADES.OVERLAP_SECONDS;
+  }
+
+  const positions = getAllPositions();
+  if (positions.length === 0) {
+    return null;
+  }
+
+  const earliestCreatedAt = Math.min(...positions.map(position => new Date(position.createdAt).getTime()));
+  return Math.floor(earliestCreatedAt / 1000) - TRADES.OVERLAP_SECONDS;
+}
+
+/**
+ * Forgets fill hashes of trades older than the next sync window, which can no longer be returned
+ * @returns {void}
+ */
+function pruneSeenFillHashes() {
+  const windowStart = getSyncStartDate();
+  if (windowStart === null) {
+    return;
+  }
+
+  for (const [fillHash, betTime] of seenFillHashes) {
+    if (betTime < windowStart) {
+      seenFillHashes.delete(fillHash);
+    }
+  }
+}
+
+/**
+ * Pulls our maker trades and feeds per-order totals into position fill accounting
+ * @returns {Promise<number>} - Number of newly ingested trades
+ */
+export async function syncTrades() {
+  if (isSyncing) {
+    return 0;
+  }
+
+  // Keep paging a window that did not fit in one sync before moving on to the next one
+  const startDate = pendingWindow ? pendingWindow.startDate : getSyncStartDate();
+  if (startDate === null) {
+    return 0;
+  }
+
+  isSyncing = true;
+
+  try {
+    const { trades, nextKey } = await fetchAllTrades({
+      bettor: ADDRESSES.MAKER,
+      maker: true,
+      startDate,
+      paginationKey: pendingWindow?.paginationKey
+    });
+
+    pendingWindow = nextKey ? { startDate, paginationKey: nextKey } : null;
+
+    const changedOrders = new Set();
+    let ingested = 0;
+
+    for (const trade of trades) {
+      if (seenFillHashes.has(trade.fillHash) || trade.tradeStatus !== 'SUCCESS' || !trade.maker) {
+        continue;
+      }
+
+      seenFillHashes.set(trade.fillHash, trade.betTime);
+      ingested++;
+
+      const previousTotal = orderTradeTotals.get(trade.orderHash) || 0n;
+      orderTradeTotals.set(trade.orderHash, previousTotal + BigInt(trade.stake));
+      orderTradeOdds.set(trade.orderHash, toImpliedOdds(trade.odds));
+      changedOrders.add(trade.orderHash);
+
+      if (lastBetTime === null || trade.betTime > lastBetTime) {
+        lastBetTime = trade.betTime;
+      }
+    }
+
+    // Attribute each changed order's settled total to the position that posted it
+    for (const orderHash of changedOrders) {
+      const position = findPositionByOrderHash(orderHash);
+
+      if (!position) {
+        logger.debug(`Trade for order ${orderHash} does not belong to any position`);
+        continue;
+      }
+
+      const totalStake = orderTradeTotals.get(orderHash).toString();
+      position.logger.info(`Trade history reports ${totalStake} filled on order ${orderHash}`);
+      await updateFillStatus(position.id, totalStake, orderHash, orderTradeOdds.get(orderHash));
+    }
+
+    if (ingested > 0) {
+      logger.info(`Ingested ${ingested} new maker trades across ${changedOrders.size} orders`);
+    }
+
+    if (pendingWindow) {
+      logger.warn(`Trade history since ${new Date(startDate * 1000).toISOString()} is incomplete; fill totals may be low until the next sync continues it`);
+    } else {
+      pruneSeenFillHashes();
+    }
+
+    return ingested;
+  } catch (error) {
+    logger.error(`Error syncing trades: ${error.message}`, { error });
+    return 0;
+  } finally {
+    isSyncing = false;
+  }
+}
+
+/**
+ * Starts periodic trade history ingestion. The first sync is left to startup,
+ * which awaits it before positions resume.
+ * @returns {void}
+ */
+export function startTradeMonitoring() {
+  if (pollingInterval) {
+    return;
+  }
+
+  logger.info(`Starting trade history sync every ${TRADES.POLL_INTERVAL}ms`);
+
+  pollingInterval = setInterval(syncTrades, TRADES.POLL_INTERVAL);
+}
+
+/**
+ * Stops periodic trade history ingestion
+ * @returns {void}
+ */
+export function stopTradeMonitoring() {
+  if (pollingInterval) {
+    clearInterval(pollingInterval);
+    pollingInterval = null;
+    logger.info('Stopped trade history sync');
+  }
+}
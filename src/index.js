@@ -4,6 +4,14 @@ import { ethers } from 'ethers';
 import { startCLI } from './cli/index.js';
 import { initialize as initializeWebsocket } from './api/websocket.js';
 import { cancelAllActiveOrders } from './core/orderManager.js';
+import { restorePositions, getPosition, postInitialOrder, expirePosition } from './core/positionManager.js';
+import { initializeMarketMonitoring, startStaleMarketWatchdog, stopStaleMarketWatchdog } from './core/marketMonitor.js';
+import { reconcileExchangeOrders } from './core/orderReconciler.js';
+import { syncTrades, startTradeMonitoring, stopTradeMonitoring } from './core/tradeMonitor.js';
+import { startSettlementMonitoring, stopSettlementMonitoring } from './core/settlementMonitor.js';
+import { startMetadataMonitoring, stopMetadataMonitoring } from './core/metadataMonitor.js';
+import { startPositionClock, stopPositionClock, isPastPrematchCutoff } from './core/positionClock.js';
+import { startCircuitBreaker, stopCircuitBreaker } from './core/circuitBreaker.js';
 import { logger } from './utils/logger.js';
 import { ADDRESSES } from './config/constants.js';
 
@@ -52,6 +60,54 @@ function validateEnvironment() {
   }
 }
 
+/**
+ * Resumes monitoring and repricing for restored positions
+ * @param {Array<Object>} restored - Positions restored from disk
+ * @returns {Promise<void>}
+ */
+async function resumePositions(restored) {
+  if (restored.length === 0) {
+    return;
+  }
+  
+  logger.info(`Resuming ${restored.length} persisted positions...`);
+  
+  for (const { id: positionId } of restored) {
+    try {
+      const position = getPosition(positionId);
+      
+      // Expired and closed positions stay out of the market; ones that passed their cutoff while offline expire now
+      if (['EXPIRED_PREMATCH', 'CLOSED'].includes(position.status)) {
+        continue;
+      }
+      
+      if (isPastPrematchCutoff(position)) {
+        await expirePosition(positionId);
+        continue;
+      }
+      
+      // Re-initializing monitoring feeds fresh market data, which reprices any live order
+      const monitoringInitialized = await initializeMarketMonitoring(position);
+      
+      if (!monitoringInitialized) {
+        logger.error(`Failed to resume market monitoring for position ${positionId}`);
+        continue;
+      }
+      
+      // Levels of positions that were trading but have no live order need a fresh one
+      const resumed = getPosition(positionId);
+      if (resumed && resumed.levels.some(level => !level.activeOrderHash && level.remainingAmount > 0) && 
+          ['INITIALIZING', 'ACTIVE', 'ERROR'].includes(resumed.status)) {
+        await postInitialOrder(positionId);
+      }
+      
+      logger.info(`Resumed position ${positionId}`);
+    } catch (error) {
+      logger.error(`Error resuming position ${positionId}: ${error.message}`, { error });
+    }
+  }
+}
+
 /**
  * Initializes the application
  * @returns {Promise<void>}
@@ -87,8 +143,37 @@ async function init() {
       process.exit(0);
     });
     
+    // Fetch the live odds ladder before any orders are priced or posted
+    await startMetadataMonitoring();
+    
+    // Restore positions from a previous run before handing control to the user
+    const restored = restorePositions();
+    
+    // Positions paused by a trip before the restart keep trading stopped until it is acknowledged
+    startCircuitBreaker();
+    
+    // Match live exchange orders to restored positions before any new orders are posted
+    const reconciliation = await reconcileExchangeOrders();
+    
+    // Count fills made while the bot was offline before resumed positions size their orders
+    await syncTrades();
+    
+    await resumePositions(restored);
+    
+    // Force a REST refresh of markets that go quiet, pausing their positions if that fails too
+    startStaleMarketWatchdog();
+    
+    // Pull settled maker trades so fills missed by the websocket are still counted
+    startTradeMonitoring();
+    
+    // Finalize positions once their markets are reported
+    startSettlementMonitoring();
+    
+    // Reprice positions whose premium schedule moves with time and expire them before kickoff
+    startPositionClock();
+    
     // Start the CLI
-    await startCLI();
+    await startCLI({ reconciliation });
     
   } catch (error) {
     logger.error('Initialization error:', error);
@@ -102,6 +187,13 @@ async function init() {
  */
 async function cleanup() {
   try {
+    stopTradeMonitoring();
+    stopSettlementMonitoring();
+    stopPositionClock();
+    stopMetadataMonitoring();
+    stopCircuitBreaker();
+    stopStaleMarketWatchdog();
+    
     logger.info('Cancelling all active orders...');
     await cancelAllActiveOrders();
     logger.info('All active orders cancelled. Shutting down...');
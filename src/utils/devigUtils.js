@@ -0,0 +1,146 @@
+// src/utils/devigUtils.js - Utility functions for removing the vig from implied odds
+
+// Supported devig methods
+export const DEVIG_METHODS = {
+  MULTIPLICATIVE: 'MULTIPLICATIVE',
+  ADDITIVE: 'ADDITIVE',
+  POWER: 'POWER',
+  SHIN: 'SHIN'
+};
+
+const BISECTION_ITERATIONS = 100;
+const BISECTION_TOLERANCE = 1e-12;
+
+/**
+ * Finds the root of a monotonic function on an interval by bisection
+ * @param {Function} fn - Function of one variable
+ * @param {number} low - Lower bound of the interval
+ * @param {number} high - Upper bound of the interval
+ * @returns {number} - Root of the function
+ */
+function bisect(fn, low, high) {
+  const lowSign = Math.sign(fn(low));
+  let mid = (low + high) / 2;
+
+  for (let i = 0; i < BISECTION_ITERATIONS; i++) {
+    mid = (low + high) / 2;
+    const value = fn(mid);
+
+    if (Math.abs(value) < BISECTION_TOLERANCE) {
+      break;
+    }
+
+    if (Math.sign(value) === lowSign) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return mid;
+}
+
+/**
+ * Sums an array of numbers
+ * @param {Array<number>} values - Numbers to sum
+ * @returns {number} - Sum
+ */
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+/**
+ * Removes the vig by scaling every outcome proportionally
+ * @param {Array<number>} impliedOdds - Implied odds of every outcome (0-1)
+ * @returns {Array<number>} - Fair probabilities
+ */
+export function devigMultiplicative(impliedOdds) {
+  const booksum = sum(impliedOdds);
+  return impliedOdds.map(odds => odds / booksum);
+}
+
+/**
+ * Removes the vig by subtracting an equal share of it from every outcome
+ * @param {Array<number>} impliedOdds - Implied odds of every outcome (0-1)
+ * @returns {Array<number>} - Fair probabilities
+ */
+export function devigAdditive(impliedOdds) {
+  const margin = (sum(impliedOdds) - 1) / impliedOdds.length;
+  return impliedOdds.map(odds => odds - margin);
+}
+
+/**
+ * Removes the vig by raising every outcome to a common power k so they sum to 1.
+ * Takes proportionally more margin from longshots than from favourites.
+ * @param {Array<number>} impliedOdds - Implied odds of every outcome (0-1)
+ * @returns {Array<number>} - Fair probabilities
+ */
+export function devigPower(impliedOdds) {
+  const k = bisect(
+    exponent => sum(impliedOdds.map(odds => odds ** exponent)) - 1,
+    1e-6,
+    1000
+  );
+
+  return impliedOdds.map(odds => odds ** k);
+}
+
+/**
+ * Removes the vig with Shin's model, which attributes the margin to a share z of
+ * insider money and solves for the z at which the fair probabilities sum to 1
+ * @param {Array<number>} impliedOdds - Implied odds of every outcome (0-1)
+ * @returns {Array<number>} - Fair probabilities
+ */
+export function devigShin(impliedOdds) {
+  const booksum = sum(impliedOdds);
+
+  const shinProbabilities = z => impliedOdds.map(odds =>
+    (Math.sqrt(z ** 2 + 4 * (1 - z) * odds ** 2 / booksum) - z) / (2 * (1 - z))
+  );
+
+  const z = bisect(insiderShare => sum(shinProbabilities(insiderShare)) - 1, 0, 0.999);
+  return shinProbabilities(z);
+}
+
+/**
+ * Removes the vig from a set of implied odds covering every outcome of a market
+ * @param {Array<number>} impliedOdds - Implied odds of every outcome (0-1)
+ * @param {string} method - One of DEVIG_METHODS
+ * @returns {Array<number>|null} - Fair probabilities, or null if they can't be calculated
+ */
+export function devigOdds(impliedOdds, method = DEVIG_METHODS.MULTIPLICATIVE) {
+  if (!impliedOdds.every(odds => Number.isFinite(odds) && odds > 0 && odds < 1)) {
+    return null;
+  }
+
+  let fairOdds;
+
+  // Without a positive margin there is nothing for the models to remove, so just normalise
+  if (sum(impliedOdds) <= 1) {
+    fairOdds = devigMultiplicative(impliedOdds);
+  } else {
+    switch (method) {
+      case DEVIG_METHODS.MULTIPLICATIVE:
+        fairOdds = devigMultiplicative(impliedOdds);
+        break;
+      case DEVIG_METHODS.ADDITIVE:
+        fairOdds = devigAdditive(impliedOdds);
+        break;
+      case DEVIG_METHODS.POWER:
+        fairOdds = devigPower(impliedOdds);
+        break;
+      case DEVIG_METHODS.SHIN:
+        fairOdds = devigShin(impliedOdds);
+        break;
+      default:
+        throw new Error(`Unknown devig method: ${method}`);
+    }
+  }
+
+  // The additive method can push a longshot below zero
+  if (!fairOdds.every(odds => odds > 0 && odds < 1)) {
+    return null;
+  }
+
+  return fairOdds;
+}
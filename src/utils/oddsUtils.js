@@ -2,6 +2,43 @@
 import { ethers } from 'ethers';
 import { ODDS } from '../config/constants.js';
 
+// Ways to round target odds onto the ladder. Lower maker implied odds are a better price for the maker.
+export const ROUNDING_MODES = {
+  NEAREST: 'NEAREST',
+  MAKER_FAVOURABLE: 'MAKER_FAVOURABLE',
+  TAKER_FAVOURABLE: 'TAKER_FAVOURABLE'
+};
+
+// Allowance for float error when a value already sits on a step (e.g. 0.475 * 10000 / 25)
+const STEP_EPSILON = 1e-9;
+
+// Live odds ladder interval in basis points of implied odds (25 = 0.25%)
+let ladderStepSize = ODDS.LADDER_STEP_SIZE;
+
+/**
+ * Gets the odds ladder interval currently in use
+ * @returns {number} - Ladder step in basis points (e.g., 25 for 0.25%)
+ */
+export function getLadderStepSize() {
+  return ladderStepSize;
+}
+
+/**
+ * Sets the odds ladder interval, as reported by the exchange
+ * @param {number} stepSize - Ladder step in basis points (10 to 100)
+ * @returns {boolean} - True if the step was valid and applied
+ */
+export function setLadderStepSize(stepSize) {
+  const step = Number(stepSize);
+
+  if (!Number.isInteger(step) || step < ODDS.MIN_LADDER_STEP_SIZE || step > ODDS.MAX_LADDER_STEP_SIZE) {
+    return false;
+  }
+
+  ladderStepSize = step;
+  return true;
+}
+
 /**
  * Checks if the implied odds are valid according to the odds ladder
  * @param {string|ethers.BigNumber} odds - Odds in BigNumber format or string
@@ -11,7 +48,7 @@ export function checkOddsLadderValid(odds) {
   try {
     // Convert to BigInt for modulo operation
     const oddsBI = ethers.toBigInt(odds);
-    const stepSize = ODDS.STEP_SIZE_DIVISOR * BigInt(ODDS.LADDER_STEP_SIZE);
+    const stepSize = ODDS.STEP_SIZE_DIVISOR * BigInt(ladderStepSize);
     
     // Check if odds fall on the ladder (modulo equals zero)
     return oddsBI % stepSize === 0n;
@@ -28,14 +65,11 @@ export function checkOddsLadderValid(odds) {
  */
 export function roundToNearestStep(impliedOdds) {
   try {
-    // Convert to percentage with 2 decimal places (e.g., 50.25)
-    const percentage = impliedOdds * 100;
+    // Count whole ladder steps in basis points (e.g., 0.5025 -> 5025 / 25 = 201 steps)
+    const steps = Math.round(impliedOdds * 10000 / ladderStepSize);
     
-    // Round to nearest step (0.25%)
-    const roundedPercentage = Math.round(percentage / 0.25) * 0.25;
-    
-    // Convert back to implied odds
-    const roundedImplied = roundedPercentage / 100;
+    // Convert back to implied odds, dividing last so the result is the closest float to the step
+    const roundedImplied = steps * ladderStepSize / 10000;
     
     return roundedImplied;
   } catch (error) {
@@ -44,6 +78,29 @@ export function roundToNearestStep(impliedOdds) {
   }
 }
 
+/**
+ * Rounds implied odds onto the odds ladder in the given direction
+ * @param {number} impliedOdds - Implied odds in decimal format (e.g., 0.5025)
+ * @param {string} mode - One of ROUNDING_MODES
+ * @returns {number} - Rounded odds in implied format
+ */
+export function roundToStep(impliedOdds, mode = ODDS.DEFAULT_ROUNDING_MODE) {
+  const steps = impliedOdds * 10000 / ladderStepSize;
+  
+  switch (mode) {
+    case ROUNDING_MODES.NEAREST:
+      return roundToNearestStep(impliedOdds);
+    case ROUNDING_MODES.MAKER_FAVOURABLE:
+      // Round down: the maker pays less for the same payout
+      return Math.floor(steps + STEP_EPSILON) * ladderStepSize / 10000;
+    case ROUNDING_MODES.TAKER_FAVOURABLE:
+      // Round up: the maker gives away part of the premium to get filled sooner
+      return Math.ceil(steps - STEP_EPSILON) * ladderStepSize / 10000;
+    default:
+      throw new Error(`Unknown rounding mode: ${mode}`);
+  }
+}
+
 /**
  * Converts implied odds to API format
  * @param {number} impliedOdds - Implied odds in decimal format (e.g., 0.5025)
@@ -0,0 +1,74 @@
+// test/devigUtils.test.js - Tests for removing the vig from implied odds
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEVIG_METHODS, devigOdds } from '../src/utils/devigUtils.js';
+
+// A two-way market at 55% / 50%, a 5% overround
+const MARKET = [0.55, 0.5];
+
+/**
+ * Asserts two numbers are equal to within floating point error
+ * @param {number} actual - Calculated value
+ * @param {number} expected - Expected value
+ * @param {number} [tolerance] - Largest allowed difference
+ */
+function assertClose(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) < tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+describe('devigOdds', () => {
+  for (const method of Object.values(DEVIG_METHODS)) {
+    test(`${method} returns probabilities summing to 1 that keep the favourite ahead`, () => {
+      const [favourite, underdog] = devigOdds(MARKET, method);
+
+      assertClose(favourite + underdog, 1);
+      assert.ok(favourite > underdog);
+    });
+  }
+
+  test('MULTIPLICATIVE scales every outcome by the booksum', () => {
+    const [favourite, underdog] = devigOdds(MARKET, DEVIG_METHODS.MULTIPLICATIVE);
+
+    assertClose(favourite, 0.55 / 1.05);
+    assertClose(underdog, 0.5 / 1.05);
+  });
+
+  test('ADDITIVE takes an equal share of the margin from every outcome', () => {
+    const [favourite, underdog] = devigOdds(MARKET, DEVIG_METHODS.ADDITIVE);
+
+    assertClose(favourite, 0.525);
+    assertClose(underdog, 0.475);
+  });
+
+  test('POWER and SHIN take more of the margin from the underdog than MULTIPLICATIVE does', () => {
+    const [, multiplicativeUnderdog] = devigOdds(MARKET, DEVIG_METHODS.MULTIPLICATIVE);
+
+    for (const method of [DEVIG_METHODS.POWER, DEVIG_METHODS.SHIN]) {
+      const [, underdog] = devigOdds(MARKET, method);
+      assert.ok(underdog < multiplicativeUnderdog, `${method} underdog ${underdog}`);
+    }
+  });
+
+  test('normalises odds with no margin to remove, whatever the method', () => {
+    for (const method of Object.values(DEVIG_METHODS)) {
+      const [favourite, underdog] = devigOdds([0.5, 0.4], method);
+
+      assertClose(favourite, 0.5 / 0.9);
+      assertClose(underdog, 0.4 / 0.9);
+    }
+  });
+
+  test('returns null when an outcome is missing or out of range', () => {
+    assert.equal(devigOdds([0.55, null]), null);
+    assert.equal(devigOdds([0.55, 0]), null);
+    assert.equal(devigOdds([1, 0.5]), null);
+  });
+
+  test('returns null when the additive method would push a longshot below zero', () => {
+    assert.equal(devigOdds([0.9, 0.3, 0.02], DEVIG_METHODS.ADDITIVE), null);
+  });
+
+  test('throws on an unknown method', () => {
+    assert.throws(() => devigOdds(MARKET, 'UNKNOWN'), /Unknown devig method/);
+  });
+});
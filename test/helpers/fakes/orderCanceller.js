@@ -0,0 +1,8 @@
+// test/helpers/fakes/orderCanceller.js - In-memory stand-in for src/api/orderCanceller.js that cancels every order
+// Every cancelled order hash
+export const cancelledOrders = [];
+
+export async function cancelOrders(orderHashes) {
+  cancelledOrders.push(...orderHashes);
+  return { status: 'success', data: { cancelledCount: orderHashes.length } };
+}
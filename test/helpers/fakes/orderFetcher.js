@@ -0,0 +1,34 @@
+// test/helpers/fakes/orderFetcher.js - In-memory stand-in for src/api/orderFetcher.js
+let marketOrders = [];
+let makerOrders = [];
+
+/**
+ * Sets the orders the fake exchange returns
+ * @param {Object} orders - Orders to return
+ * @param {Array} [orders.market] - Orders returned for any market
+ * @param {Array} [orders.maker] - Orders returned for the maker
+ */
+export function setOrders({ market = [], maker = [] }) {
+  marketOrders = market;
+  makerOrders = maker;
+}
+
+export async function fetchOrders() {
+  return marketOrders;
+}
+
+export async function fetchMakerOrders() {
+  return makerOrders;
+}
+
+export function groupOrdersByOutcome(orders) {
+  return orders.reduce((grouped, order) => {
+    const outcome = order.isMakerBettingOutcomeOne ? 1 : 2;
+    grouped[outcome] = [...(grouped[outcome] || []), order];
+    return grouped;
+  }, {});
+}
+
+export async function fetchOrdersWithRetry(marketHashes) {
+  return fetchOrders(marketHashes);
+}
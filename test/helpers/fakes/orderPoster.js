@@ -0,0 +1,9 @@
+// test/helpers/fakes/orderPoster.js - In-memory stand-in for src/api/orderPoster.js that accepts every order
+// Every posted order, in posting order
+export const postedOrders = [];
+
+export async function postOrder(marketHash, isMakerBettingOutcomeOne, betSizeUSDC, impliedOdds) {
+  const orderHash = `0xorder${postedOrders.length + 1}`;
+  postedOrders.push({ orderHash, marketHash, isMakerBettingOutcomeOne, betSizeUSDC, impliedOdds });
+  return { status: 'success', data: { orders: [orderHash] } };
+}
@@ -0,0 +1,17 @@
+// test/helpers/fakes/positionStore.js - In-memory stand-in for src/core/positionStore.js
+// Saved positions by ID, without their loggers
+export const store = new Map();
+
+export function savePosition(position) {
+  const { logger, ...serialized } = position;
+  store.set(position.id, structuredClone(serialized));
+  return true;
+}
+
+export function deletePosition(positionId) {
+  return store.delete(positionId);
+}
+
+export function loadPositions() {
+  return Array.from(store.values());
+}
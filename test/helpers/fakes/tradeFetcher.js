@@ -0,0 +1,22 @@
+// test/helpers/fakes/tradeFetcher.js - In-memory stand-in for src/api/tradeFetcher.js that replays queued results
+// Parameters of every fetchAllTrades call, in call order
+export const calls = [];
+
+const queuedResults = [];
+
+/**
+ * Queues the results returned by the next fetchAllTrades calls
+ * @param {...Object} results - { trades, nextKey } results, one per call
+ */
+export function queueResults(...results) {
+  queuedResults.push(...results);
+}
+
+export async function fetchTrades(params = {}) {
+  return fetchAllTrades(params);
+}
+
+export async function fetchAllTrades(params = {}) {
+  calls.push(params);
+  return queuedResults.shift() || { trades: [], nextKey: null };
+}
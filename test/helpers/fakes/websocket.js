@@ -0,0 +1,31 @@
+// test/helpers/fakes/websocket.js - In-memory stand-in for src/api/websocket.js that records subscriptions
+const subscriptions = new Map();
+
+// Every subscribe and unsubscribe request, by market hash
+export const calls = {
+  subscribe: [],
+  unsubscribe: []
+};
+
+export async function initialize() {
+  return true;
+}
+
+export async function subscribeToOrderBook(marketHash, callback) {
+  calls.subscribe.push(marketHash);
+  subscriptions.set(marketHash, callback);
+  return true;
+}
+
+export async function unsubscribeFromOrderBook(marketHash) {
+  calls.unsubscribe.push(marketHash);
+  return subscriptions.delete(marketHash);
+}
+
+export function isSubscribedToOrderBook(marketHash) {
+  return subscriptions.has(marketHash);
+}
+
+export async function closeConnection() {
+  subscriptions.clear();
+}
@@ -0,0 +1,31 @@
+// test/helpers/hooks.js - Module resolve hooks that swap the exchange API clients and position store for in-memory fakes
+
+// Project modules (relative to the project root) and the fakes that replace them
+const FAKE_MODULES = {
+  'src/api/websocket.js': 'websocket.js',
+  'src/api/orderFetcher.js': 'orderFetcher.js',
+  'src/api/orderPoster.js': 'orderPoster.js',
+  'src/api/orderCanceller.js': 'orderCanceller.js',
+  'src/api/tradeFetcher.js': 'tradeFetcher.js',
+  'src/core/positionStore.js': 'positionStore.js'
+};
+
+const projectRoot = new URL('../../', import.meta.url);
+const fakeUrls = new Map(Object.entries(FAKE_MODULES).map(([modulePath, fakeFile]) => [
+  new URL(modulePath, projectRoot).href,
+  new URL(`./fakes/${fakeFile}`, import.meta.url).href
+]));
+
+/**
+ * Resolves project modules that talk to the exchange or the disk to their fakes
+ * @param {string} specifier - Import specifier
+ * @param {Object} context - Resolve context
+ * @param {Function} nextResolve - Next resolve hook in the chain
+ * @returns {Promise<Object>} - Resolved module
+ */
+export async function resolve(specifier, context, nextResolve) {
+  const resolved = await nextResolve(specifier, context);
+  const fakeUrl = fakeUrls.get(resolved.url);
+
+  return fakeUrl ? { url: fakeUrl, shortCircuit: true } : resolved;
+}
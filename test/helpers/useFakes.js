@@ -0,0 +1,5 @@
+// test/helpers/useFakes.js - Installs the fake exchange API and position store for modules imported afterwards
+import { register } from 'node:module';
+
+// Only affects modules loaded after this runs, so tests import the code under test dynamically
+register('./hooks.js', import.meta.url);
@@ -0,0 +1,57 @@
+// test/iceberg.test.js - Tests for iceberg clip sizing
+import { describe, test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getLevelOrderSize, isClipFilled } from '../src/core/iceberg.js';
+import { ICEBERG } from '../src/config/constants.js';
+
+const LEVEL = { remainingAmount: 50 };
+
+describe('getLevelOrderSize', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('posts the level\'s whole remaining size without a clip size', () => {
+    assert.equal(getLevelOrderSize({ clipSize: 0 }, LEVEL), 50);
+  });
+
+  test('posts one clip at a time', () => {
+    assert.equal(getLevelOrderSize({ clipSize: 10 }, LEVEL), 10);
+  });
+
+  test('randomises the clip within the clip range, in whole cents', () => {
+    const position = { clipSize: 10, clipRandomRange: 2 };
+
+    mock.method(Math, 'random', () => 0);
+    assert.equal(getLevelOrderSize(position, LEVEL), 8);
+
+    mock.method(Math, 'random', () => 0.999);
+    assert.equal(getLevelOrderSize(position, LEVEL), 11.99);
+  });
+
+  test('never posts a clip below the minimum clip size or above what the level has left', () => {
+    mock.method(Math, 'random', () => 0);
+
+    assert.equal(getLevelOrderSize({ clipSize: 2, clipRandomRange: 5 }, LEVEL), ICEBERG.MIN_CLIP_SIZE);
+    assert.equal(getLevelOrderSize({ clipSize: 10 }, { remainingAmount: 4.5 }), 4.5);
+  });
+});
+
+describe('isClipFilled', () => {
+  test('is true once the clip\'s posted size has been filled', () => {
+    const position = { orderSizes: { '0xa': 10 }, orderFills: { '0xa': 10 } };
+    assert.equal(isClipFilled(position, '0xa'), true);
+  });
+
+  test('treats a clip filled to within rounding of its size as filled', () => {
+    const position = { orderSizes: { '0xa': 10 }, orderFills: { '0xa': 9.96 } };
+    assert.equal(isClipFilled(position, '0xa'), true);
+  });
+
+  test('is false while the clip is partly filled or not filled at all', () => {
+    const position = { orderSizes: { '0xa': 10, '0xb': 10 }, orderFills: { '0xa': 6 } };
+
+    assert.equal(isClipFilled(position, '0xa'), false);
+    assert.equal(isClipFilled(position, '0xb'), false);
+  });
+});
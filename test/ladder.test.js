@@ -0,0 +1,120 @@
+// test/ladder.test.js - Tests for ladder levels and splitting fills across them
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildLevels, migrateSingleOrder, getActiveOrderHashes, allocateFills } from '../src/core/ladder.js';
+
+describe('buildLevels', () => {
+  test('builds one empty level per ladder rung', () => {
+    const levels = buildLevels([{ sizePercent: 60, premium: 3 }, { sizePercent: 40 }]);
+
+    assert.deepEqual(levels.map(({ sizePercent, premium }) => ({ sizePercent, premium })), [
+      { sizePercent: 60, premium: 3 },
+      { sizePercent: 40, premium: null }
+    ]);
+    assert.ok(levels.every(level => level.activeOrderHash === null && level.orderStatus === 'NONE'));
+  });
+
+  test('builds a single full-size level without a ladder', () => {
+    for (const ladder of [[], null, undefined]) {
+      const levels = buildLevels(ladder);
+
+      assert.equal(levels.length, 1);
+      assert.equal(levels[0].sizePercent, 100);
+      assert.equal(levels[0].premium, null);
+    }
+  });
+});
+
+describe('migrateSingleOrder', () => {
+  test('moves a pre-ladder position\'s order into a single level', () => {
+    const [level, ...rest] = migrateSingleOrder({
+      activeOrderHash: '0xa',
+      orderStatus: 'ACTIVE',
+      lastOrderOdds: 0.48,
+      lastPostedOdds: 0.5
+    });
+
+    assert.deepEqual(rest, []);
+    assert.equal(level.sizePercent, 100);
+    assert.equal(level.activeOrderHash, '0xa');
+    assert.equal(level.orderStatus, 'ACTIVE');
+    assert.equal(level.lastOrderOdds, 0.48);
+    assert.equal(level.lastPostedOdds, 0.5);
+  });
+});
+
+describe('getActiveOrderHashes', () => {
+  test('lists the live order of every level that has one', () => {
+    const levels = buildLevels([{ sizePercent: 50 }, { sizePercent: 25 }, { sizePercent: 25 }]);
+    levels[0].activeOrderHash = '0xa';
+    levels[2].activeOrderHash = '0xc';
+
+    assert.deepEqual(getActiveOrderHashes({ levels }), ['0xa', '0xc']);
+  });
+});
+
+/**
+ * Builds a 100 USDC position laddered 60/40 with the given fills
+ * @param {Object} orderFills - Cumulative fill in USDC per order hash
+ * @param {Object} orderLevels - Level index per order hash; orders without one belong to the first level
+ * @returns {Object} - Position object
+ */
+function ladderedPosition(orderFills, orderLevels = {}) {
+  return {
+    maxFillAmount: 100,
+    levels: buildLevels([{ sizePercent: 60 }, { sizePercent: 40 }]),
+    orderFills,
+    orderLevels
+  };
+}
+
+describe('allocateFills', () => {
+  test('sums fills across every order the position has posted, including replaced ones', () => {
+    const position = ladderedPosition({ '0xa': 10, '0xb': 15, '0xc': 5 }, { '0xb': 0, '0xc': 1 });
+
+    allocateFills(position);
+
+    assert.equal(position.fillAmount, 30);
+    assert.equal(position.remainingAmount, 70);
+    assert.equal(position.fillPercentage, 30);
+  });
+
+  test('splits fills by the level each order was posted for', () => {
+    const position = ladderedPosition({ '0xa': 10, '0xb': 15, '0xc': 5 }, { '0xb': 0, '0xc': 1 });
+
+    allocateFills(position);
+
+    assert.deepEqual(position.levels.map(level => level.fillAmount), [25, 5]);
+    assert.deepEqual(position.levels.map(level => level.remainingAmount), [35, 35]);
+  });
+
+  test('never leaves the levels more to fill than the position has left', () => {
+    // The first level overfilled, so the second level only gets what the position has left
+    const position = ladderedPosition({ '0xa': 80 });
+
+    allocateFills(position);
+
+    assert.equal(position.remainingAmount, 20);
+    assert.deepEqual(position.levels.map(level => level.remainingAmount), [0, 20]);
+  });
+
+  test('caps the remaining size at the size cap', () => {
+    const position = ladderedPosition({ '0xa': 10 });
+
+    allocateFills(position, 45);
+
+    assert.equal(position.fillAmount, 10);
+    assert.equal(position.remainingAmount, 45);
+    assert.deepEqual(position.levels.map(level => level.remainingAmount), [45, 0]);
+  });
+
+  test('floors remaining sizes to whole cents when the fills don\'t sum exactly', () => {
+    // 10.1 + 20.2 + 14.58 sums to 44.879999999999995, which can't be posted in USDC units
+    const position = ladderedPosition({ '0xa': 10.1, '0xb': 20.2, '0xc': 14.58 });
+
+    allocateFills(position);
+
+    assert.equal(position.remainingAmount, 55.12);
+    assert.deepEqual(position.levels.map(level => level.remainingAmount), [15.12, 40]);
+  });
+});
@@ -0,0 +1,56 @@
+// test/marketMaking.test.js - Tests for market-making pair sizing and inventory skew
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateSideShare, isPairFilled, calculateInventoryImbalance, applyInventorySkew } from '../src/core/marketMaking.js';
+
+/**
+ * Builds one side of a 100 USDC market-making pair
+ * @param {number} fillAmount - Stake filled on this side in USDC
+ * @param {Object} [overrides] - Position fields to override
+ * @returns {Object} - Position object
+ */
+function side(fillAmount, overrides = {}) {
+  return { positionType: 'MARKET_MAKING', maxExposure: 100, inventorySkew: 10, fillAmount, ...overrides };
+}
+
+describe('calculateSideShare', () => {
+  test('gives each side half of the pair\'s remaining exposure in whole cents', () => {
+    assert.equal(calculateSideShare(100, 0), 50);
+    assert.equal(calculateSideShare(100, 30), 35);
+    assert.equal(calculateSideShare(100, 30.01), 34.99);
+  });
+
+  test('gives nothing once the pair is over its exposure', () => {
+    assert.equal(calculateSideShare(100, 120), 0);
+  });
+});
+
+describe('isPairFilled', () => {
+  test('counts fills on both sides against the combined max exposure', () => {
+    assert.equal(isPairFilled(side(60), 39), false);
+    assert.equal(isPairFilled(side(60), 40), true);
+  });
+});
+
+describe('calculateInventoryImbalance', () => {
+  test('is positive when the other side holds more inventory', () => {
+    assert.equal(calculateInventoryImbalance(side(10), 30), 0.2);
+    assert.equal(calculateInventoryImbalance(side(30), 10), -0.2);
+  });
+
+  test('is zero for positions that are not market making', () => {
+    assert.equal(calculateInventoryImbalance(side(10, { positionType: undefined }), 30), 0);
+  });
+});
+
+describe('applyInventorySkew', () => {
+  test('tightens the lighter side and widens the heavier side', () => {
+    // 10% skew at a 0.2 imbalance moves the odds by 2%
+    assert.equal(applyInventorySkew(side(10), 0.5, 30), 0.51);
+    assert.equal(applyInventorySkew(side(30), 0.5, 10), 0.49);
+  });
+
+  test('leaves a balanced pair at the strategy\'s odds', () => {
+    assert.equal(applyInventorySkew(side(20), 0.5, 20), 0.5);
+  });
+});
@@ -0,0 +1,48 @@
+// test/oddsUtils.test.js - Tests for rounding odds onto the exchange's odds ladder
+import { describe, test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ROUNDING_MODES, roundToStep, setLadderStepSize } from '../src/utils/oddsUtils.js';
+import { ODDS } from '../src/config/constants.js';
+
+describe('roundToStep', () => {
+  afterEach(() => {
+    setLadderStepSize(ODDS.LADDER_STEP_SIZE);
+  });
+
+  test('MAKER_FAVOURABLE rounds maker odds down', () => {
+    assert.equal(roundToStep(0.5049, ROUNDING_MODES.MAKER_FAVOURABLE), 0.5025);
+  });
+
+  test('TAKER_FAVOURABLE rounds maker odds up', () => {
+    assert.equal(roundToStep(0.5026, ROUNDING_MODES.TAKER_FAVOURABLE), 0.505);
+  });
+
+  test('NEAREST rounds to the closest step in either direction', () => {
+    assert.equal(roundToStep(0.5038, ROUNDING_MODES.NEAREST), 0.505);
+    assert.equal(roundToStep(0.5037, ROUNDING_MODES.NEAREST), 0.5025);
+  });
+
+  test('defaults to MAKER_FAVOURABLE', () => {
+    assert.equal(roundToStep(0.5049), 0.5025);
+  });
+
+  test('leaves odds already on a step unchanged in every mode despite float error', () => {
+    // 0.1425 * 10000 / 25 is 56.99999999999999 and 0.07 * 10000 / 25 is 28.000000000000004
+    for (const odds of [0.1425, 0.07]) {
+      for (const mode of Object.values(ROUNDING_MODES)) {
+        assert.equal(roundToStep(odds, mode), odds, `${odds} ${mode}`);
+      }
+    }
+  });
+
+  test('rounds onto the live ladder step', () => {
+    assert.equal(setLadderStepSize(100), true);
+
+    assert.equal(roundToStep(0.5099, ROUNDING_MODES.MAKER_FAVOURABLE), 0.5);
+    assert.equal(roundToStep(0.5001, ROUNDING_MODES.TAKER_FAVOURABLE), 0.51);
+  });
+
+  test('throws on an unknown mode', () => {
+    assert.throws(() => roundToStep(0.5, 'UNKNOWN'), /Unknown rounding mode/);
+  });
+});
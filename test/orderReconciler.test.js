@@ -0,0 +1,116 @@
+// test/orderReconciler.test.js - Tests for startup reconciliation of live exchange orders
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/useFakes.js';
+
+const { createNewPosition, getPosition, pauseAllPositions } = await import('../src/core/positionManager.js');
+const { reconcileExchangeOrders } = await import('../src/core/orderReconciler.js');
+const { ADDRESSES } = await import('../src/config/constants.js');
+const orderFetcher = await import('./helpers/fakes/orderFetcher.js');
+const orderCanceller = await import('./helpers/fakes/orderCanceller.js');
+
+/**
+ * Builds a live maker order as returned by the orders API
+ * @param {string} marketHash - Market hash
+ * @param {string} orderHash - Order hash
+ * @param {number} outcomeIndex - Outcome the maker is betting on
+ * @param {number} impliedOdds - Maker implied odds (0-1)
+ * @param {number} [fillAmount] - USDC of the order already filled
+ * @returns {Object} - Raw API order for 10 USDC
+ */
+function liveOrder(marketHash, orderHash, outcomeIndex, impliedOdds, fillAmount = 0) {
+  return {
+    orderHash,
+    marketHash,
+    maker: ADDRESSES.MAKER,
+    isMakerBettingOutcomeOne: outcomeIndex === 1,
+    percentageOdds: (BigInt(Math.round(impliedOdds * 10000)) * 10n ** 16n).toString(),
+    totalBetSize: '10000000',
+    fillAmount: (fillAmount * 1e6).toString()
+  };
+}
+
+/**
+ * Creates a position that last posted at the given odds
+ * @param {string} marketHash - Market hash
+ * @param {number} outcomeIndex - Outcome the position backs
+ * @param {number} lastPostedOdds - Odds of the position's last posted order
+ * @param {number} [maxFillAmount] - Position size in USDC
+ * @returns {Promise<Object>} - The position
+ */
+async function createPostedPosition(marketHash, outcomeIndex, lastPostedOdds, maxFillAmount = 100) {
+  const position = await createNewPosition({
+    marketHash,
+    outcomeIndex,
+    maxFillAmount,
+    premium: 5,
+    maxVig: 100,
+    minLiquidity: 0
+  });
+
+  position.levels[0].lastPostedOdds = lastPostedOdds;
+  return position;
+}
+
+describe('reconcileExchangeOrders', () => {
+  test('cancels live orders of circuit-paused positions instead of keeping or adopting them', async () => {
+    const marketHash = '0xpaused-market';
+    const tracking = await createPostedPosition(marketHash, 1, 0.5);
+    tracking.levels[0].activeOrderHash = '0xtracked';
+    const untracked = await createPostedPosition(marketHash, 2, 0.45);
+    pauseAllPositions('Circuit breaker: test trip');
+
+    orderFetcher.setOrders({
+      maker: [
+        liveOrder(marketHash, '0xtracked', 1, 0.5),
+        liveOrder(marketHash, '0xmatching', 2, 0.45),
+        liveOrder(marketHash, '0xorphan', 2, 0.3)
+      ]
+    });
+
+    const summary = await reconcileExchangeOrders();
+
+    assert.deepEqual(summary.cancelled.map(({ order }) => order.orderHash), ['0xtracked', '0xmatching']);
+    assert.deepEqual(summary.confirmed, []);
+    assert.deepEqual(summary.adopted, []);
+    assert.deepEqual(summary.orphans.map(order => order.orderHash), ['0xorphan']);
+    assert.deepEqual(orderCanceller.cancelledOrders, ['0xtracked', '0xmatching']);
+    assert.equal(getPosition(tracking.id).levels[0].activeOrderHash, null);
+    assert.equal(getPosition(untracked.id).levels[0].activeOrderHash, null);
+  });
+
+  test('adopts a matching order with its full size, and cancels one larger than the level has left', async () => {
+    const marketHash = '0xadopt-market';
+    const adopting = await createPostedPosition(marketHash, 1, 0.5);
+    const small = await createPostedPosition(marketHash, 2, 0.45, 5);
+    orderCanceller.cancelledOrders.length = 0;
+
+    orderFetcher.setOrders({
+      maker: [liveOrder(marketHash, '0xpartly-filled', 1, 0.5, 4), liveOrder(marketHash, '0xoversized', 2, 0.45)]
+    });
+
+    const summary = await reconcileExchangeOrders();
+
+    assert.deepEqual(summary.adopted.map(({ order }) => order.orderHash), ['0xpartly-filled']);
+    assert.equal(getPosition(adopting.id).levels[0].activeOrderHash, '0xpartly-filled');
+    assert.equal(getPosition(adopting.id).orderSizes['0xpartly-filled'], 10);
+
+    assert.deepEqual(summary.cancelled.map(({ order, reason }) => [order.orderHash, reason]), [['0xoversized', 'OVERSIZED']]);
+    assert.deepEqual(orderCanceller.cancelledOrders, ['0xoversized']);
+    assert.equal(getPosition(small.id).levels[0].activeOrderHash, null);
+  });
+
+  test('leaves matching orders of positions no longer trading to the orphan review', async () => {
+    const marketHash = '0xexpired-market';
+    const expired = await createPostedPosition(marketHash, 1, 0.5);
+    expired.status = 'EXPIRED_PREMATCH';
+
+    orderFetcher.setOrders({ maker: [liveOrder(marketHash, '0xexpired-order', 1, 0.5)] });
+
+    const summary = await reconcileExchangeOrders();
+
+    assert.deepEqual(summary.adopted, []);
+    assert.deepEqual(summary.orphans.map(order => order.orderHash), ['0xexpired-order']);
+    assert.equal(getPosition(expired.id).levels[0].activeOrderHash, null);
+  });
+});
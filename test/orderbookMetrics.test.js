@@ -0,0 +1,109 @@
+// test/orderbookMetrics.test.js - Tests for the top-of-book and depth-weighted reference prices
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateOrderbookMetrics, calculateDepthWeightedTakerOdds } from '../src/core/orderbookMetrics.js';
+
+/**
+ * Builds a processed maker order as stored in an orderbook
+ * @param {number} impliedOdds - Maker implied odds (0-1)
+ * @param {number} size - Maker stake in USDC
+ * @param {boolean} isMakerBettingOutcomeOne - Whether the maker backs outcome one
+ * @returns {Object} - Orderbook order
+ */
+function makerOrder(impliedOdds, size, isMakerBettingOutcomeOne) {
+  return {
+    percentageOdds: (BigInt(Math.round(impliedOdds * 10000)) * 10n ** 16n).toString(),
+    totalBetSize: (size * 1e6).toString(),
+    fillAmount: '0',
+    impliedOdds,
+    remainingSize: size,
+    isMakerBettingOutcomeOne
+  };
+}
+
+/**
+ * Builds an orderbook where takers on outcome one can take 10 USDC at 50%, then 30 USDC at 60%
+ * @param {Array<Object>} [extraOrders] - More makers backing outcome two
+ * @returns {Object} - Orderbook object
+ */
+function orderbook(extraOrders = []) {
+  return {
+    orders: {
+      1: [makerOrder(0.45, 50, true)],
+      2: [makerOrder(0.4, 20, false), makerOrder(0.5, 10, false), ...extraOrders]
+    }
+  };
+}
+
+/**
+ * Builds a position that prices off the given reference
+ * @param {Object} [overrides] - Position fields to override
+ * @returns {Object} - Position object
+ */
+function position(overrides = {}) {
+  return {
+    minBetSizeOdds: 0,
+    minBetSizeVig: 0,
+    referencePriceMode: 'TOP_OF_BOOK',
+    referenceDepthSize: 20,
+    logger: { debug() {} },
+    ...overrides
+  };
+}
+
+/**
+ * Asserts two numbers are equal to within floating point error
+ * @param {number} actual - Calculated value
+ * @param {number} expected - Expected value
+ */
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${actual} to be close to ${expected}`);
+}
+
+describe('calculateDepthWeightedTakerOdds', () => {
+  test('prices a stake inside the best order at that order\'s odds', () => {
+    assertClose(calculateDepthWeightedTakerOdds(orderbook(), 1, 5), 0.5);
+  });
+
+  test('weights the odds by the stake taken at each price level', () => {
+    // 10 USDC paying 20 at 50%, then 10 USDC paying 16.67 at 60%
+    assertClose(calculateDepthWeightedTakerOdds(orderbook(), 1, 20), 20 / (20 + 10 / 0.6));
+  });
+
+  test('prices the whole book when it is shallower than the target', () => {
+    assertClose(calculateDepthWeightedTakerOdds(orderbook(), 1, 1000), 40 / (20 + 50));
+  });
+
+  test('returns null without opposing orders', () => {
+    assert.equal(calculateDepthWeightedTakerOdds({ orders: { 1: [], 2: [] } }, 1, 20), null);
+  });
+});
+
+describe('calculateOrderbookMetrics', () => {
+  test('prices off the top of the book by default', () => {
+    const metrics = calculateOrderbookMetrics(orderbook(), position());
+
+    assertClose(metrics.bestTakerOdds[1], 0.5);
+    assertClose(metrics.topOfBookTakerOdds[1], 0.5);
+    assertClose(metrics.depthWeightedTakerOdds[1], 20 / (20 + 10 / 0.6));
+  });
+
+  test('prices off the depth-weighted odds when the position asks for it', () => {
+    const metrics = calculateOrderbookMetrics(orderbook(), position({ referencePriceMode: 'DEPTH_WEIGHTED' }));
+
+    assertClose(metrics.bestTakerOdds[1], 20 / (20 + 10 / 0.6));
+    assertClose(metrics.topOfBookTakerOdds[1], 0.5);
+  });
+
+  test('lets a small order move the top of book but not the depth-weighted odds', () => {
+    const smallOrder = makerOrder(0.55, 0.5, false);
+    const unfiltered = calculateOrderbookMetrics(orderbook([smallOrder]), position({ referencePriceMode: 'DEPTH_WEIGHTED' }));
+
+    // The 0.5 USDC order's 0.41 USDC of taker space barely moves the 20 USDC depth price
+    assertClose(unfiltered.topOfBookTakerOdds[1], 0.45);
+    assert.ok(unfiltered.bestTakerOdds[1] > 0.54);
+
+    const filtered = calculateOrderbookMetrics(orderbook([smallOrder]), position({ minBetSizeOdds: 5 }));
+    assertClose(filtered.bestTakerOdds[1], 0.5);
+  });
+});
@@ -0,0 +1,45 @@
+// test/pennyJump.test.js - Tests for penny-jumping competing makers
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyPennyJump } from '../src/core/pennyJump.js';
+
+// Quotes at 50% from the strategy, jumping competitors on a 0.25% ladder up to 52%
+const TARGET_ODDS = 0.5;
+
+/**
+ * Builds a penny-jumping position facing a competing maker on its outcome
+ * @param {number|null} competitorOdds - Best competing maker implied odds
+ * @returns {Object} - Position object
+ */
+function positionFacing(competitorOdds) {
+  return {
+    outcomeIndex: 1,
+    pennyJump: true,
+    pennyJumpMaxOdds: 0.52,
+    marketMetrics: { bestMakerOdds: { 1: competitorOdds, 2: null } }
+  };
+}
+
+describe('applyPennyJump', () => {
+  test('keeps the target when the competitor is worse than it', () => {
+    assert.equal(applyPennyJump(positionFacing(0.4975), TARGET_ODDS), TARGET_ODDS);
+  });
+
+  test('jumps to the limit when the competitor is one tick inside it', () => {
+    assert.equal(applyPennyJump(positionFacing(0.5175), TARGET_ODDS), 0.52);
+  });
+
+  test('jumps a competitor matching the target by one tick', () => {
+    assert.equal(applyPennyJump(positionFacing(0.5), TARGET_ODDS), 0.5025);
+  });
+
+  test('keeps the target when the competitor is at or beyond the limit', () => {
+    assert.equal(applyPennyJump(positionFacing(0.52), TARGET_ODDS), TARGET_ODDS);
+    assert.equal(applyPennyJump(positionFacing(0.53), TARGET_ODDS), TARGET_ODDS);
+  });
+
+  test('keeps the target without a competitor or with penny-jump off', () => {
+    assert.equal(applyPennyJump(positionFacing(null), TARGET_ODDS), TARGET_ODDS);
+    assert.equal(applyPennyJump({ ...positionFacing(0.5175), pennyJump: false }, TARGET_ODDS), TARGET_ODDS);
+  });
+});
@@ -0,0 +1,86 @@
+// test/pnlLedger.test.js - Tests for the fill ledger and P&L calculations
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { recordFill, calculatePositionPnl, summarisePnl } from '../src/core/pnlLedger.js';
+
+/**
+ * Asserts two numbers are equal to within floating point error
+ * @param {number} actual - Calculated value
+ * @param {number} expected - Expected value
+ */
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${actual} to be close to ${expected}`);
+}
+
+/**
+ * Builds a position backing outcome one with 10 USDC filled at 50% and 30 USDC at 60%
+ * @param {Object} [overrides] - Position fields to override
+ * @returns {Object} - Position object with a 40 USDC stake paying out 70 USDC
+ */
+function filledPosition(overrides = {}) {
+  const position = { outcomeIndex: 1, ...overrides };
+  recordFill(position, { orderHash: '0xa', stake: 10, impliedOdds: 0.5 });
+  recordFill(position, { orderHash: '0xb', stake: 30, impliedOdds: 0.6 });
+  return position;
+}
+
+describe('recordFill', () => {
+  test('records the payout the stake wins at the fill odds', () => {
+    const position = {};
+    const entry = recordFill(position, { orderHash: '0xa', stake: 30, impliedOdds: 0.6 });
+
+    assert.equal(entry.payout, 50);
+    assert.deepEqual(position.ledger, [entry]);
+  });
+});
+
+describe('calculatePositionPnl', () => {
+  test('totals stake, payout and the stake-weighted average odds', () => {
+    const pnl = calculatePositionPnl(filledPosition());
+
+    assert.equal(pnl.fillCount, 2);
+    assert.equal(pnl.totalStake, 40);
+    assert.equal(pnl.potentialPayout, 70);
+    assert.equal(pnl.potentialProfit, 30);
+    assert.equal(pnl.liability, 40);
+    assertClose(pnl.averageImpliedOdds, 40 / 70);
+  });
+
+  test('marks an unsettled position to the best taker odds', () => {
+    const pnl = calculatePositionPnl(filledPosition({ bestTakerOdds: 0.55 }));
+
+    assertClose(pnl.unrealizedPnl, 70 * 0.55 - 40);
+    assert.equal(pnl.realizedPnl, null);
+  });
+
+  test('realizes the profit when our outcome wins, the stake when it loses and nothing when voided', () => {
+    assert.equal(calculatePositionPnl(filledPosition({ settlement: { outcome: 1 } })).realizedPnl, 30);
+    assert.equal(calculatePositionPnl(filledPosition({ settlement: { outcome: 2 } })).realizedPnl, -40);
+    assert.equal(calculatePositionPnl(filledPosition({ settlement: { outcome: 0 } })).realizedPnl, 0);
+  });
+
+  test('reports no P&L for a position without fills', () => {
+    const pnl = calculatePositionPnl({ outcomeIndex: 1, bestTakerOdds: 0.5 });
+
+    assert.equal(pnl.totalStake, 0);
+    assert.equal(pnl.averageImpliedOdds, null);
+    assert.equal(pnl.unrealizedPnl, null);
+    assert.equal(pnl.realizedPnl, null);
+  });
+});
+
+describe('summarisePnl', () => {
+  test('adds up positions, counting missing unrealized and realized P&L as zero', () => {
+    const summary = summarisePnl([
+      filledPosition({ settlement: { outcome: 2 } }),
+      filledPosition({ bestTakerOdds: 0.6 }),
+      filledPosition()
+    ]);
+
+    assert.equal(summary.positionCount, 3);
+    assert.equal(summary.totalStake, 120);
+    assert.equal(summary.potentialPayout, 210);
+    assert.equal(summary.realizedPnl, -40);
+    assertClose(summary.unrealizedPnl, 70 * 0.6 - 40);
+  });
+});
@@ -0,0 +1,129 @@
+// test/positionManager.test.js - Tests for position lifecycle handling in the position manager
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/useFakes.js';
+
+const { createNewPosition, closePosition, settlePosition, updateFillStatus, getPosition, getAllPositions, getPositionHistory, updateMarketData } = await import('../src/core/positionManager.js');
+const { initializeMarketMonitoring, handleOrderbookUpdate } = await import('../src/core/marketMonitor.js');
+const websocket = await import('./helpers/fakes/websocket.js');
+
+/**
+ * Builds the data for a position backing outcome one of a market
+ * @param {string} marketHash - Market hash
+ * @returns {Object} - Position data for createNewPosition
+ */
+function positionData(marketHash) {
+  return {
+    marketHash,
+    outcomeIndex: 1,
+    outcomeName: 'Home',
+    maxFillAmount: 100,
+    premium: 5,
+    maxVig: 100,
+    minLiquidity: 0
+  };
+}
+
+/**
+ * Builds market data with the given vig and plenty of liquidity on both outcomes
+ * @param {number} vig - Vig percentage
+ * @returns {Object} - Market data for updateMarketData
+ */
+function marketData(vig) {
+  return {
+    bestTakerOdds: 0.5,
+    vig,
+    liquidity: { outcome1: 1000, outcome2: 1000 },
+    metrics: null
+  };
+}
+
+/**
+ * Builds a websocket update for another maker's order on outcome two
+ * @param {string} orderHash - Order hash
+ * @returns {Array} - Orderbook update in the websocket's array format
+ */
+function competitorOrder(orderHash) {
+  return [orderHash, 'ACTIVE', '0', '0xcompetitor', '50000000', '52500000000000000000', 0, 0, '1', false];
+}
+
+describe('closePosition', () => {
+  test('keeps the market subscribed while another position still monitors it', async () => {
+    const marketHash = '0xclose-shared-market';
+    const closing = await createNewPosition(positionData(marketHash));
+    const remaining = await createNewPosition(positionData(marketHash));
+    await initializeMarketMonitoring(closing);
+    await initializeMarketMonitoring(remaining);
+
+    assert.equal(await closePosition(closing.id), true);
+
+    assert.deepEqual(websocket.calls.unsubscribe, []);
+    assert.equal(websocket.isSubscribedToOrderBook(marketHash), true);
+
+    // Updates keep reaching the position left on the market
+    await handleOrderbookUpdate(marketHash, [competitorOrder('0xcompetitor-order')]);
+    assert.equal(getPosition(remaining.id).currentLiquidity.outcome2, 50);
+
+    assert.equal(await closePosition(remaining.id), true);
+
+    assert.deepEqual(websocket.calls.unsubscribe, [marketHash]);
+    assert.equal(websocket.isSubscribedToOrderBook(marketHash), false);
+  });
+
+  test('removes a position without fills straight away', async () => {
+    const position = await createNewPosition(positionData('0xclose-unfilled-market'));
+
+    assert.equal(await closePosition(position.id), true);
+
+    assert.equal(getPosition(position.id), null);
+  });
+
+  test('keeps a partly filled position until its market settles, then moves it to history', async () => {
+    const position = await createNewPosition(positionData('0xclose-filled-market'));
+    await updateFillStatus(position.id, '20000000', '0xclose-filled-order', 0.5);
+
+    assert.equal(await closePosition(position.id), true);
+
+    // Still tracked, so settlement polling and exposure limits keep seeing its filled stake
+    assert.equal(getPosition(position.id).status, 'CLOSED');
+    assert.ok(getAllPositions().some(({ id }) => id === position.id));
+    assert.equal(await closePosition(position.id), false);
+
+    assert.equal(await settlePosition(position.id, {
+      outcome: 1,
+      outcomeOneName: 'Home',
+      outcomeTwoName: 'Away',
+      reportedDate: 1700000000
+    }), true);
+
+    assert.equal(getPosition(position.id), null);
+    const settled = getPositionHistory().find(({ id }) => id === position.id);
+    assert.equal(settled.status, 'SETTLED');
+    assert.equal(settled.fillAmount, 20);
+    assert.equal(settled.settlement.realizedPnl, 20);
+  });
+});
+
+describe('risk cool-down', () => {
+  test('resumes a risk-paused position once the cool-down passes without another market update', async () => {
+    const position = await createNewPosition({
+      ...positionData('0xcooldown-market'),
+      maxVig: 5,
+      riskCooldownMs: 50
+    });
+
+    await updateMarketData(position.id, marketData(8));
+    assert.equal(getPosition(position.id).status, 'RISK_PAUSED');
+
+    // The market recovers inside the cool-down, then goes quiet
+    await updateMarketData(position.id, marketData(1));
+    assert.equal(getPosition(position.id).status, 'RISK_PAUSED');
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    assert.equal(getPosition(position.id).status, 'ACTIVE');
+    assert.deepEqual(getPosition(position.id).riskTimeline.map(entry => entry.state), ['PAUSED', 'RESUMED']);
+
+    await closePosition(position.id);
+  });
+});
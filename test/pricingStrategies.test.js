@@ -0,0 +1,46 @@
+// test/pricingStrategies.test.js - Tests for the time-to-kickoff premium schedule
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getScheduledPremium } from '../src/core/pricingStrategies.js';
+
+// 10% a day out, tightening to 6% two hours out and 4% an hour out; listed out of order on purpose
+const SCHEDULE = [
+  { minutesBeforeStart: 60, premium: 4 },
+  { minutesBeforeStart: 1440, premium: 10 },
+  { minutesBeforeStart: 120, premium: 6 }
+];
+
+/**
+ * Converts minutes to milliseconds
+ * @param {number} minutes - Minutes
+ * @returns {number} - Milliseconds
+ */
+function minutes(minutes) {
+  return minutes * 60000;
+}
+
+describe('getScheduledPremium', () => {
+  test('returns null without a schedule or a kickoff time', () => {
+    assert.equal(getScheduledPremium([], minutes(90)), null);
+    assert.equal(getScheduledPremium(null, minutes(90)), null);
+    assert.equal(getScheduledPremium(SCHEDULE, null), null);
+  });
+
+  test('holds the earliest point\'s premium before the schedule starts', () => {
+    assert.equal(getScheduledPremium(SCHEDULE, minutes(2000)), 10);
+  });
+
+  test('returns a point\'s premium exactly at that point', () => {
+    assert.equal(getScheduledPremium(SCHEDULE, minutes(120)), 6);
+  });
+
+  test('interpolates linearly between points', () => {
+    assert.equal(getScheduledPremium(SCHEDULE, minutes(90)), 5);
+    assert.equal(getScheduledPremium(SCHEDULE, minutes(780)), 8);
+  });
+
+  test('holds the last point\'s premium after the schedule ends, including once the fixture has started', () => {
+    assert.equal(getScheduledPremium(SCHEDULE, minutes(30)), 4);
+    assert.equal(getScheduledPremium(SCHEDULE, minutes(-5)), 4);
+  });
+});
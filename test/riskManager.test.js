@@ -0,0 +1,117 @@
+// test/riskManager.test.js - Tests for portfolio exposure limits and order reservations
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/useFakes.js';
+
+const { createNewPosition, createMarketMakingPositions, updateFillStatus, closePosition, settlePosition } = await import('../src/core/positionManager.js');
+const { getPositionExposure, reserveOrderExposure, releaseOrderExposure } = await import('../src/core/riskManager.js');
+const { RISK_LIMITS } = await import('../src/config/constants.js');
+
+/**
+ * Builds the data for a position on its own fixture, league and sport
+ * @param {string} key - Suffix keeping the position's groups apart from other tests
+ * @returns {Object} - Position data for createNewPosition
+ */
+function positionData(key) {
+  return {
+    marketHash: `0xrisk-${key}`,
+    outcomeIndex: 1,
+    outcomeName: 'Home',
+    maxFillAmount: 100,
+    premium: 5,
+    maxVig: 100,
+    minLiquidity: 0,
+    eventId: `fixture-${key}`,
+    leagueId: `league-${key}`,
+    sportId: `sport-${key}`
+  };
+}
+
+describe('getPositionExposure', () => {
+  test('adds the unfilled size of live orders to the filled stake', () => {
+    const position = {
+      fillAmount: 30,
+      levels: [
+        { activeOrderHash: '0xa', remainingAmount: 50 },
+        { activeOrderHash: null, remainingAmount: 20 },
+        { activeOrderHash: '0xb', remainingAmount: 40 }
+      ],
+      orderSizes: { '0xa': 25 },
+      orderFills: { '0xa': 10 }
+    };
+
+    // 30 filled + (25 - 10) left on 0xa + 40 on 0xb, whose size falls back to the level's remaining amount
+    assert.equal(getPositionExposure(position), 85);
+  });
+});
+
+describe('reserveOrderExposure', () => {
+  test('shrinks an order to the headroom left under the tightest limit until the reservation is released', async () => {
+    const position = await createNewPosition(positionData('headroom'));
+
+    const first = reserveOrderExposure(position.id, 200);
+    assert.equal(first.betSizeUSDC, 200);
+    assert.equal(first.limit, null);
+
+    const second = reserveOrderExposure(position.id, 100);
+    assert.equal(second.betSizeUSDC, RISK_LIMITS.MAX_FIXTURE_EXPOSURE - 200);
+    assert.equal(second.limit.scope, 'FIXTURE');
+
+    releaseOrderExposure(first.reservationId);
+
+    const third = reserveOrderExposure(position.id, 100);
+    assert.equal(third.betSizeUSDC, 100);
+    assert.equal(third.limit, null);
+
+    releaseOrderExposure(second.reservationId);
+    releaseOrderExposure(third.reservationId);
+  });
+
+  test('blocks an order when less than the minimum order size is left', async () => {
+    const position = await createNewPosition(positionData('blocked'));
+    const filling = reserveOrderExposure(position.id, RISK_LIMITS.MAX_FIXTURE_EXPOSURE - 0.5);
+
+    const blocked = reserveOrderExposure(position.id, 10);
+    assert.equal(blocked.betSizeUSDC, 0);
+    assert.equal(blocked.reservationId, null);
+    assert.equal(blocked.limit.scope, 'FIXTURE');
+
+    releaseOrderExposure(filling.reservationId);
+  });
+
+  test('caps both sides of a market-making pair at the pair\'s max exposure', async () => {
+    const [sideOne, sideTwo] = await createMarketMakingPositions(
+      { ...positionData('pair'), maxFillAmount: 60 },
+      { 1: 'Home', 2: 'Away' }
+    );
+
+    const first = reserveOrderExposure(sideOne.id, 40);
+    assert.equal(first.betSizeUSDC, 40);
+
+    const second = reserveOrderExposure(sideTwo.id, 40);
+    assert.equal(second.betSizeUSDC, 20);
+    assert.equal(second.limit.scope, 'PAIR');
+
+    releaseOrderExposure(first.reservationId);
+    releaseOrderExposure(second.reservationId);
+  });
+
+  test('counts a closed position\'s filled stake until its market settles', async () => {
+    const closed = await createNewPosition(positionData('closed'));
+    await updateFillStatus(closed.id, '80000000', '0xrisk-closed-order', 0.5);
+    await closePosition(closed.id);
+
+    const other = await createNewPosition({ ...positionData('closed'), marketHash: '0xrisk-closed-other' });
+
+    const whileOpen = reserveOrderExposure(other.id, RISK_LIMITS.MAX_FIXTURE_EXPOSURE);
+    assert.equal(whileOpen.betSizeUSDC, RISK_LIMITS.MAX_FIXTURE_EXPOSURE - 80);
+    assert.equal(whileOpen.limit.scope, 'FIXTURE');
+    releaseOrderExposure(whileOpen.reservationId);
+
+    await settlePosition(closed.id, { outcome: 2, outcomeOneName: 'Home', outcomeTwoName: 'Away', reportedDate: 1700000000 });
+
+    const afterSettlement = reserveOrderExposure(other.id, RISK_LIMITS.MAX_FIXTURE_EXPOSURE);
+    assert.equal(afterSettlement.betSizeUSDC, RISK_LIMITS.MAX_FIXTURE_EXPOSURE);
+    releaseOrderExposure(afterSettlement.reservationId);
+  });
+});
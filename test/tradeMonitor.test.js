@@ -0,0 +1,61 @@
+// test/tradeMonitor.test.js - Tests for trade history ingestion
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers/useFakes.js';
+
+const { createNewPosition } = await import('../src/core/positionManager.js');
+const { syncTrades } = await import('../src/core/tradeMonitor.js');
+const { TRADES } = await import('../src/config/constants.js');
+const tradeFetcher = await import('./helpers/fakes/tradeFetcher.js');
+
+/**
+ * Builds a settled maker trade as returned by the trades API
+ * @param {string} fillHash - Fill hash
+ * @param {number} betTime - Bet time in UNIX seconds
+ * @returns {Object} - Raw API trade for 10 USDC
+ */
+function makerTrade(fillHash, betTime) {
+  return {
+    fillHash,
+    orderHash: '0xunknown-order',
+    betTime,
+    stake: '10000000',
+    odds: '50000000000000000000',
+    maker: true,
+    tradeStatus: 'SUCCESS'
+  };
+}
+
+describe('syncTrades', () => {
+  test('continues a window that did not fit in one sync before starting the next one', async () => {
+    await createNewPosition({
+      marketHash: '0xtrade-sync-market',
+      outcomeIndex: 1,
+      outcomeName: 'Home',
+      maxFillAmount: 100,
+      premium: 5,
+      maxVig: 100,
+      minLiquidity: 0
+    });
+
+    const betTime = Math.floor(Date.now() / 1000);
+    const laterTrade = makerTrade('0xfill2', betTime + 10);
+    tradeFetcher.queueResults(
+      { trades: [makerTrade('0xfill1', betTime)], nextKey: 'page-2' },
+      { trades: [laterTrade], nextKey: null },
+      { trades: [laterTrade], nextKey: null }
+    );
+
+    assert.equal(await syncTrades(), 1);
+    assert.equal(await syncTrades(), 1);
+    // The overlap re-fetch does not count the same fill twice
+    assert.equal(await syncTrades(), 0);
+
+    const [first, resumed, next] = tradeFetcher.calls;
+    assert.equal(first.paginationKey, undefined);
+    assert.equal(resumed.startDate, first.startDate);
+    assert.equal(resumed.paginationKey, 'page-2');
+    assert.equal(next.startDate, laterTrade.betTime - TRADES.OVERLAP_SECONDS);
+    assert.equal(next.paginationKey, undefined);
+  });
+});